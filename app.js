@@ -16,6 +16,20 @@ let previewCanvas, errorMessageEl, serverAddressEl, messageBoxEl;
 // Add new DOM elements for button state
 let ctrl0BtnEl, ctrl1BtnEl;
 
+// Multi-headset identity: a per-browser id kept in localStorage, and the performer name typed into the page
+const CLIENT_ID_STORAGE_KEY = 'webxrOscClientId';
+const USER_NAME_STORAGE_KEY = 'webxrOscUserName';
+let clientId = null;
+let userNameEl, userStatusEl;
+
+// Pairing (when the server has security.pairing on): the code from the server console buys a signed token,
+// which is kept here and sent with every hello
+const PAIRING_TOKEN_STORAGE_KEY = 'webxrOscPairingToken';
+let pairingRowEl, pairingCodeEl;
+
+// Hand tracking display elements, keyed by handedness
+let handEls = { left: null, right: null };
+
 // This will be set in DOMContentLoaded
 let SERVER_URL;
 
@@ -23,11 +37,96 @@ let lastHMDPose = null;
 let lastControllerPoses = [{}, {}];
 let lastXRFramePose = null;
 let lastXRControllerPoses = [{}, {}];
+let controllerSources = [null, null]; // XRInputSource behind each /controllerN slot, for haptics
 let dataSampleInterval = null;
 
+// Hand tracking (WebXR Hand Input API): the 25 joints in spec order
+const HAND_JOINTS = [
+    'wrist',
+    'thumb-metacarpal', 'thumb-phalanx-proximal', 'thumb-phalanx-distal', 'thumb-tip',
+    'index-finger-metacarpal', 'index-finger-phalanx-proximal', 'index-finger-phalanx-intermediate',
+    'index-finger-phalanx-distal', 'index-finger-tip',
+    'middle-finger-metacarpal', 'middle-finger-phalanx-proximal', 'middle-finger-phalanx-intermediate',
+    'middle-finger-phalanx-distal', 'middle-finger-tip',
+    'ring-finger-metacarpal', 'ring-finger-phalanx-proximal', 'ring-finger-phalanx-intermediate',
+    'ring-finger-phalanx-distal', 'ring-finger-tip',
+    'pinky-finger-metacarpal', 'pinky-finger-phalanx-proximal', 'pinky-finger-phalanx-intermediate',
+    'pinky-finger-phalanx-distal', 'pinky-finger-tip'
+];
+const HAND_JOINT_DEFAULT_RADIUS = 0.008; // Meters, used when the browser reports no radius
+const PINCH_CLOSED_DISTANCE = 0.015; // Thumb/index tip distance (m) that counts as full pinch
+const PINCH_OPEN_DISTANCE = 0.08;    // Distance (m) at which pinch strength reaches 0
+const PINCH_START_STRENGTH = 0.9;    // Hysteresis thresholds for pinch start/end events
+const PINCH_END_STRENGTH = 0.7;
+let handMarkers = { left: [], right: [] };
+
+// Re-center gesture: hold both grips and both triggers for RECENTER_HOLD_MS
+const RECENTER_HOLD_MS = 2000;
+let recenterHoldStart = null; // When the gesture started, or null while it isn't held
+let recenterSent = false;     // One request per hold
+
+// Discrete button events. They are detected on every XR frame, not only on OSC ticks, and go out with that frame:
+//   /controllerN/button/<name>/down        value
+//   /controllerN/button/<name>/up          seconds held
+//   /controllerN/button/<name>/long-press  seconds held (once per press, after LONG_PRESS_MS)
+//   /controllerN/button/<name>/double-tap  seconds between the two presses
+//   /controllerN/chord/<a>+<b>/down, /up   buttons pressed within CHORD_WINDOW_MS of each other; up carries seconds held
+const LONG_PRESS_MS = 500;
+const DOUBLE_TAP_MS = 300;  // Longest gap between releasing the first tap and pressing the second
+const CHORD_WINDOW_MS = 80;
+let buttonEventStates = [null, null]; // Per controller slot: { source, buttons: { <name>: {...} }, chordStart, chord }
+
+// Spatial zones and virtual planes from the server, drawn as wireframes so they can be placed on site. They are
+// defined in the calibrated stage space, so the group holding them undoes this headset's calibration.
+const ZONE_COLOR = 0xffcc00;
+const ZONE_OCCUPIED_COLOR = 0x00ff88; // One of this headset's devices is inside
+const PLANE_COLOR = 0x00aaff;
+let stageGroup = null;
+let zoneObjects = {};  // name -> THREE.LineSegments
+let stageMessage = null; // Last 'stage' message, drawn once the scene exists
+
+// Argument layouts declared with each pose stream. Rotation goes to the server as a quaternion,
+// which converts it to each destination's rotation format (Euler, axis-angle, matrix, ...) and coordinate system.
+const POSE_LAYOUT = ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw'];
+// Velocities from XRPose.linearVelocity (m/s) and angularVelocity (rad/s), when the browser provides them
+const LINEAR_VELOCITY_LAYOUT = ['vx', 'vy', 'vz'];
+const ANGULAR_VELOCITY_LAYOUT = ['wx', 'wy', 'wz'];
+const HAND_JOINT_LAYOUT = POSE_LAYOUT.concat('radius');
+const PINCH_LAYOUT = ['strength', 'pinching', 'distance'];
+const BUTTON_LAYOUT = ['value', 'pressed', 'touched'];
+const STICK_LAYOUT = ['x', 'y', 'pressed', 'touched'];
+let pinchStates = { left: { pinching: false }, right: { pinching: false } };
+
 // Add debugging flag
 const DEBUG_MODE = true;
 
+// Per-frame payloads: every message produced while rendering one XR frame goes out together,
+// stamped with the frame's time on this device's clock (see clientClockNow)
+let frameMessages = null; // Messages collected for the current frame, or null outside renderXRFrame
+
+// Wire format, negotiated as a WebSocket subprotocol. JSON is offered first so a server that predates
+// the binary protocol (and takes the first offer) stays on JSON.
+const WS_PROTOCOL_JSON = 'webxr-osc-json';
+const WS_PROTOCOL_BINARY = 'webxr-osc-binary-1';
+// Binary frame layout, little-endian (see webxr_osc_server.js):
+//   u16 magic 'WX' | u8 version | u8 type | f64 timestamp | u16 message count | per message: u16 schema id, f32 args
+const BINARY_MAGIC = 0x5857;
+const BINARY_VERSION = 1;
+const BINARY_TYPE_FRAME = 1;
+const BINARY_HEADER_BYTES = 14;
+let schemaIds = new Map(); // 'address|layout|argCount' -> schema id registered on the current socket
+
+// Deadbands and change-only sending for streams (messages with a layout), as set by the server's welcome message.
+// Until then everything is sent. Events (button, pinch start/end) have no layout and always go out.
+let transmission = { changeOnly: false, keepaliveMs: 1000, deadband: { position: 0, rotation: 0, value: 0 } };
+let lastSentStreams = new Map(); // address -> { args, layout, time } last sent on the current socket
+
+// Milliseconds since the epoch on this device's high-resolution clock, the same clock XR frame times use.
+// The server estimates the offset to its own clock from clockSync echoes.
+function clientClockNow() {
+  return performance.timeOrigin + performance.now();
+}
+
 // Custom message display
 function showMessage(text, duration = 3000) {
     if (!messageBoxEl) messageBoxEl = document.getElementById('messageBox');
@@ -49,21 +148,110 @@ function debugLog(message, data = null) {
     }
 }
 
-// Convert quaternion to Euler angles in degrees (-180 to 180)
-function quaternionToEulerDegrees(quat) {
-    const euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(quat.x, quat.y, quat.z, quat.w), 'YXZ');
+// xr-standard gamepad mapping (WebXR Gamepads Module): button and axis indices
+// Indices 4 and 5 are the face buttons, labelled A/B on the right controller and X/Y on the left
+const XR_STANDARD_BUTTONS = ['trigger', 'squeeze', 'touchpad', 'thumbstick'];
+const XR_FACE_BUTTONS = {
+    left: ['x', 'y'],
+    right: ['a', 'b'],
+    none: ['button4', 'button5']
+};
+const XR_STANDARD_AXES = { touchpad: [0, 1], thumbstick: [2, 3] };
+
+// Name a gamepad button using the xr-standard mapping, falling back to its index
+function getButtonName(source, btnIdx) {
+    if (source.gamepad.mapping !== 'xr-standard') return `button${btnIdx}`;
+    if (btnIdx < XR_STANDARD_BUTTONS.length) return XR_STANDARD_BUTTONS[btnIdx];
+    if (btnIdx < 6) {
+        const faceButtons = XR_FACE_BUTTONS[source.handedness] || XR_FACE_BUTTONS.none;
+        return faceButtons[btnIdx - 4];
+    }
+    if (btnIdx === 6) return 'thumbrest';
+    return `button${btnIdx}`;
+}
+
+// Read every button (pressed, touched, analog value) and axis from an input source's gamepad
+function readGamepadState(source) {
+    if (!source.gamepad) return null;
+
+    const buttons = [];
+    let anyPressed = false;
+    source.gamepad.buttons.forEach((button, btnIdx) => {
+        if (!button) return;
+        buttons.push({
+            name: getButtonName(source, btnIdx),
+            value: Number(button.value) || 0,
+            pressed: button.pressed,
+            touched: button.touched
+        });
+        // Keep the legacy pose button flag: trigger, squeeze, touchpad, thumbstick and face buttons
+        if (btnIdx < 6 && button.pressed) anyPressed = true;
+    });
+
     return {
-        yaw: (euler.y * 180 / Math.PI),     // Y rotation (yaw)
-        pitch: (euler.x * 180 / Math.PI),   // X rotation (pitch)  
-        roll: (euler.z * 180 / Math.PI)     // Z rotation (roll)
+        mapping: source.gamepad.mapping,
+        buttons,
+        axes: Array.from(source.gamepad.axes, v => Number(v) || 0),
+        anyPressed
     };
 }
 
-// Normalize angle to -180 to 180 range
-function normalizeAngle(angle) {
-    while (angle > 180) angle -= 360;
-    while (angle < -180) angle += 360;
-    return angle;
+// Read a value from localStorage, which can be unavailable (e.g. private browsing)
+function loadSetting(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSetting(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    debugLog('Could not save setting', key);
+  }
+}
+
+// Stable id for this browser, so the server can give a reconnecting headset the same name
+function getClientId() {
+  if (clientId) return clientId;
+  clientId = loadSetting(CLIENT_ID_STORAGE_KEY);
+  if (!clientId) {
+    clientId = (window.crypto && crypto.randomUUID)
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    saveSetting(CLIENT_ID_STORAGE_KEY, clientId);
+  }
+  return clientId;
+}
+
+// Introduce this headset to the server; an empty name lets the server assign one
+function sendHello() {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+  const name = userNameEl ? userNameEl.value.trim() : '';
+  const token = loadSetting(PAIRING_TOKEN_STORAGE_KEY);
+  const hello = token ? { type: 'hello', clientId: getClientId(), name, token } : { type: 'hello', clientId: getClientId(), name };
+  socket.send(JSON.stringify(hello));
+  debugLog('Sent hello', { name, paired: !!token });
+}
+
+function showPairing(visible) {
+  if (pairingRowEl) pairingRowEl.style.display = visible ? '' : 'none';
+}
+
+// Send the code shown in the server console; the server answers with 'paired' or another 'pairingRequired'
+function sendPairingCode() {
+  if (!socket || socket.readyState !== WebSocket.OPEN || !pairingCodeEl) return;
+  const code = pairingCodeEl.value.trim();
+  if (!code) return;
+  socket.send(JSON.stringify({ type: 'pair', clientId: getClientId(), code }));
+  pairingCodeEl.value = '';
+}
+
+function onUserNameChanged() {
+  saveSetting(USER_NAME_STORAGE_KEY, userNameEl.value.trim());
+  sendHello();
 }
 
 // WebSocket setup
@@ -82,7 +270,10 @@ function initWebSocket() {
   }
   
   debugLog('Attempting WebSocket connection to:', SERVER_URL);
-  socket = new WebSocket(SERVER_URL);
+  socket = new WebSocket(SERVER_URL, [WS_PROTOCOL_JSON, WS_PROTOCOL_BINARY]);
+  socket.binaryType = 'arraybuffer';
+  schemaIds = new Map(); // Schemas are per connection
+  lastSentStreams = new Map();
 
   socket.onopen = () => {
     debugLog('WebSocket connected successfully');
@@ -92,6 +283,8 @@ function initWebSocket() {
         wsStatusEl.style.color = '#4CAF50'; // Green
     }
     if (errorMessageEl) errorMessageEl.textContent = '';
+    debugLog(`WebSocket protocol: ${socket.protocol || WS_PROTOCOL_JSON}`);
+    sendHello();
   };
 
   socket.onclose = (event) => {
@@ -105,6 +298,10 @@ function initWebSocket() {
     setTimeout(initWebSocket, 3000);
   };
 
+  socket.onmessage = (event) => {
+    handleServerMessage(event.data);
+  };
+
   socket.onerror = (err) => {
     debugLog('WebSocket error occurred', err);
     console.error('WebSocket error:', err);
@@ -116,6 +313,191 @@ function initWebSocket() {
   };
 }
 
+// Messages pushed by the server: connection status and OSC forwarded from the creative apps
+function handleServerMessage(data) {
+  let msg;
+  try {
+    msg = JSON.parse(data);
+  } catch (err) {
+    debugLog('Ignoring non-JSON server message', data);
+    return;
+  }
+
+  switch (msg.type) {
+    case 'connection':
+      debugLog('Server connection status', msg);
+      break;
+    case 'welcome':
+      // The server may have adjusted the name (taken by another headset, or assigned)
+      debugLog('Server assigned user', msg);
+      showPairing(false);
+      if (userStatusEl) {
+        userStatusEl.textContent = msg.namespace ? `${msg.user} (${msg.namespace})` : msg.user;
+      }
+      if (msg.transmission) {
+        transmission = msg.transmission;
+        lastSentStreams = new Map();
+        debugLog('Transmission settings', transmission);
+      }
+      break;
+    case 'pairingRequired':
+      // A token the server no longer accepts (expired, or pairings revoked) is of no use
+      if (msg.reason !== 'not paired') saveSetting(PAIRING_TOKEN_STORAGE_KEY, '');
+      debugLog('Pairing required', msg);
+      showPairing(true);
+      if (userStatusEl) userStatusEl.textContent = 'Not paired';
+      showMessage(`Enter the pairing code from the server console (${msg.reason})`, 5000);
+      break;
+    case 'paired':
+      saveSetting(PAIRING_TOKEN_STORAGE_KEY, msg.token);
+      showMessage('Paired with the bridge');
+      sendHello();
+      break;
+    case 'haptic':
+      playHaptic(msg.controller, msg.intensity, msg.duration);
+      break;
+    case 'clockSync':
+      // Echo right away with our clock reading so the server can estimate the offset between clocks
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'clockSync', serverTime: msg.serverTime, clientTime: clientClockNow() }));
+      }
+      break;
+    case 'calibration':
+      // Result of a re-center or stage calibration for this headset
+      debugLog('Calibration update', msg);
+      showMessage(msg.message);
+      break;
+    case 'stage':
+      stageMessage = msg;
+      if (stageGroup) drawStage(msg);
+      break;
+    case 'zoneState':
+      if (zoneObjects[msg.zone]) {
+        zoneObjects[msg.zone].material.color.setHex(msg.devices.length > 0 ? ZONE_OCCUPIED_COLOR : ZONE_COLOR);
+      }
+      break;
+    default:
+      debugLog('Unknown server message type', msg.type);
+  }
+}
+
+// Rebuild the zone and plane wireframes from a {type: 'stage', zones, planes, calibration} message
+function drawStage(msg) {
+  stageGroup.children.slice().forEach(object => {
+    stageGroup.remove(object);
+    object.geometry.dispose();
+    object.material.dispose();
+  });
+  zoneObjects = {};
+
+  Object.keys(msg.zones).forEach(name => {
+    const object = buildZoneObject(msg.zones[name]);
+    if (!object) return;
+    object.name = name;
+    zoneObjects[name] = object;
+    stageGroup.add(object);
+  });
+  Object.keys(msg.planes).forEach(name => {
+    const object = buildPlaneObject(msg.planes[name]);
+    object.name = name;
+    stageGroup.add(object);
+  });
+
+  // Calibration maps tracking space to stage space as p' = scale * Ry(yaw) * p + offset; the group applies the inverse
+  const calibration = msg.calibration || { yaw: 0, scale: 1, offset: [0, 0, 0] };
+  const yaw = -calibration.yaw * Math.PI / 180;
+  stageGroup.rotation.set(0, yaw, 0);
+  stageGroup.scale.setScalar(1 / calibration.scale);
+  stageGroup.position.set(...calibration.offset)
+    .applyAxisAngle(new THREE.Vector3(0, 1, 0), yaw)
+    .multiplyScalar(-1 / calibration.scale);
+  debugLog(`Drawing ${Object.keys(zoneObjects).length} zones and ${Object.keys(msg.planes).length} planes`);
+}
+
+// A plane's outline with a cross at its center; rotation is [yaw, pitch, roll] in degrees, facing +Z unrotated
+function buildPlaneObject(plane) {
+  const [width, height] = plane.size;
+  const w = width / 2, h = height / 2, c = Math.min(w, h) * 0.1;
+  const vertices = [
+    -w, -h, 0, w, -h, 0,  w, -h, 0, w, h, 0,  w, h, 0, -w, h, 0,  -w, h, 0, -w, -h, 0,
+    -c, 0, 0, c, 0, 0,  0, -c, 0, 0, c, 0
+  ];
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  const object = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: PLANE_COLOR, transparent: true, opacity: 0.8 }));
+
+  const [yaw, pitch, roll] = (plane.rotation || [0, 0, 0]).map(degrees => degrees * Math.PI / 180);
+  object.position.set(...plane.center);
+  object.rotation.set(pitch, yaw, roll, 'YXZ');
+  return object;
+}
+
+function buildZoneObject(zone) {
+  const material = new THREE.LineBasicMaterial({ color: ZONE_COLOR, transparent: true, opacity: 0.8 });
+  const floor = zone.floor || 0;
+  let object;
+
+  switch (zone.shape) {
+    case 'box':
+      object = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.BoxGeometry(...zone.size)), material);
+      object.position.set(...zone.center);
+      break;
+    case 'sphere':
+      object = new THREE.LineSegments(new THREE.WireframeGeometry(new THREE.SphereGeometry(zone.radius, 16, 8)), material);
+      object.position.set(...zone.center);
+      break;
+    case 'cylinder':
+      object = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.CylinderGeometry(zone.radius, zone.radius, zone.height, 24)), material);
+      object.position.set(zone.center[0], floor + zone.height / 2, zone.center[1]);
+      break;
+    case 'polygon': {
+      // Floor and ceiling outlines plus a vertical edge at every corner
+      const vertices = [];
+      zone.points.forEach(([x, z], i) => {
+        const [nextX, nextZ] = zone.points[(i + 1) % zone.points.length];
+        vertices.push(x, floor, z, nextX, floor, nextZ);
+        vertices.push(x, floor + zone.height, z, nextX, floor + zone.height, nextZ);
+        vertices.push(x, floor, z, x, floor + zone.height, z);
+      });
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+      object = new THREE.LineSegments(geometry, material);
+      break;
+    }
+    default:
+      debugLog('Unknown zone shape', zone.shape);
+      material.dispose();
+      return null;
+  }
+  return object;
+}
+
+// Play a haptic pulse on a controller, using whichever actuator API the browser offers
+function playHaptic(controllerIdx, intensity, duration) {
+  const source = controllerSources[controllerIdx];
+  if (!xrSession || !source || !source.gamepad) {
+    debugLog(`No controller ${controllerIdx} available for haptics`);
+    return;
+  }
+
+  const gamepad = source.gamepad;
+  try {
+    if (gamepad.hapticActuators && gamepad.hapticActuators.length > 0) {
+      gamepad.hapticActuators[0].pulse(intensity, duration);
+    } else if (gamepad.vibrationActuator) {
+      gamepad.vibrationActuator.playEffect('dual-rumble', {
+        duration: duration,
+        strongMagnitude: intensity,
+        weakMagnitude: intensity
+      });
+    } else {
+      debugLog(`Controller ${controllerIdx} has no haptic actuator`);
+    }
+  } catch (err) {
+    debugLog('Haptic pulse failed', err);
+  }
+}
+
 // 3D scene for preview (non-XR)
 function initPreviewScene() {
   if (!previewCanvas) {
@@ -151,6 +533,22 @@ function initPreviewScene() {
     controllerMarkers.push(ctrlMesh);
     scene.add(ctrlMesh);
   }
+
+  // One small sphere per hand joint, scaled to the joint radius reported by the browser
+  const jointGeometry = new THREE.SphereGeometry(1, 8, 6);
+  Object.keys(handMarkers).forEach(handedness => {
+    const jointMaterial = new THREE.MeshStandardMaterial({ color: handedness === 'left' ? 0xff8800 : 0x00ccff });
+    HAND_JOINTS.forEach(() => {
+      const jointMesh = new THREE.Mesh(jointGeometry, jointMaterial);
+      jointMesh.visible = false;
+      handMarkers[handedness].push(jointMesh);
+      scene.add(jointMesh);
+    });
+  });
+  stageGroup = new THREE.Group();
+  scene.add(stageGroup);
+  if (stageMessage) drawStage(stageMessage);
+
   camera.position.set(0, 1.6, 2);
   camera.lookAt(0, 1, 0);
   
@@ -189,6 +587,7 @@ async function startXRSession() {
     } else {
       xrSession = await navigator.xr.requestSession('immersive-vr', { 
           requiredFeatures: ['local-floor'],
+          optionalFeatures: ['hand-tracking'],
       });
     }
     
@@ -222,6 +621,8 @@ function onXRSessionEnded() {
   debugLog('XR session ended');
   if(xrSession) xrSession.removeEventListener('end', onXRSessionEnded);
   xrSession = null;
+  controllerSources = [null, null];
+  buttonEventStates.forEach((state, i) => releaseButtonEvents(i, Date.now()));
   if (renderer && renderer.xr) renderer.xr.setSession(null);
   document.body.classList.remove('xr-active');
   
@@ -241,6 +642,7 @@ function onXRSessionEnded() {
   if (ctrl1RotEl) ctrl1RotEl.textContent = 'N/A';
   if (ctrl0BtnEl) ctrl0BtnEl.textContent = 'N/A';
   if (ctrl1BtnEl) ctrl1BtnEl.textContent = 'N/A';
+  Object.keys(handMarkers).forEach(hideHand);
   
   showMessage('WebXR session ended.');
   
@@ -266,6 +668,7 @@ function renderXRFrame(timestamp, frame) {
   
   const pose = frame.getViewerPose(referenceSpace);
   const currentTime = Date.now();
+  frameMessages = [];
   const shouldSendOSC = oscEnabled && socket && socket.readyState === WebSocket.OPEN && 
                        (currentTime - lastOSCSendTime >= OSC_SEND_INTERVAL);
 
@@ -288,31 +691,33 @@ function renderXRFrame(timestamp, frame) {
 
     // Send OSC data if enabled and throttling allows
     if (shouldSendOSC) {
-      sendOSCData('/hmd/pose', pos, quat);
+      sendOSCData('/hmd/pose', pos, quat, false, pose);
       debugLog('Sent HMD OSC data', pos);
     }
   } else {
     debugLog('No HMD pose available in this frame');
   }
 
-  // --- Controllers ---
-  for (let i = 0; i < xrSession.inputSources.length && i < 2; i++) {
-    const source = xrSession.inputSources[i];
-    if (i >= controllerMarkers.length) continue;
-
-    const controllerMarker = controllerMarkers[i];
-    let btnPressed = false;
-    
-    // Check for button presses - check multiple common button indices
-    if (source.gamepad && source.gamepad.buttons) {
-      // Check trigger (index 0), grip (index 1), and other common buttons
-      for (let btnIdx = 0; btnIdx < Math.min(source.gamepad.buttons.length, 6); btnIdx++) {
-        if (source.gamepad.buttons[btnIdx] && source.gamepad.buttons[btnIdx].pressed) {
-          btnPressed = true;
-          break;
-        }
+  // --- Controllers and hands ---
+  // Tracked hands are input sources too, but they get /hand addresses instead of a controller slot
+  const trackedHands = new Set();
+  const gamepadStates = [];
+  let controllerCount = 0;
+  for (const source of xrSession.inputSources) {
+    if (source.hand) {
+      if (updateHand(source, frame, referenceSpace, shouldSendOSC)) {
+        trackedHands.add(source.handedness);
       }
+      continue;
     }
+    if (controllerCount >= controllerMarkers.length) continue;
+
+    const i = controllerCount++;
+    controllerSources[i] = source;
+    const controllerMarker = controllerMarkers[i];
+    const gamepadState = readGamepadState(source);
+    const btnPressed = gamepadState ? gamepadState.anyPressed : false;
+    gamepadStates.push(gamepadState);
 
     if (source.gripSpace) {
       const gripPose = frame.getPose(source.gripSpace, referenceSpace);
@@ -333,7 +738,7 @@ function renderXRFrame(timestamp, frame) {
 
         // Send OSC data if enabled and throttling allows - FIXED: Send for each controller
         if (shouldSendOSC) {
-          sendOSCData(`/controller${i}/pose`, pos, quat, btnPressed);
+          sendOSCData(`/controller${i}/pose`, pos, quat, btnPressed, gripPose);
           debugLog(`Sent Controller ${i} OSC data`, { pos, btnPressed });
         }
       } else {
@@ -344,24 +749,306 @@ function renderXRFrame(timestamp, frame) {
       controllerMarker.visible = false;
       updateDisplay(`ctrl${i}`, {x:0,y:0,z:0}, new THREE.Euler(), false);
     }
+
+    // The aim ray (pointing along -Z) is what the server casts against virtual planes
+    if (shouldSendOSC && source.targetRaySpace) {
+      const aimPose = frame.getPose(source.targetRaySpace, referenceSpace);
+      if (aimPose) {
+        sendOSCMessage(`/controller${i}/aim`, poseToArgs(aimPose.transform.position, aimPose.transform.orientation), POSE_LAYOUT);
+      }
+    }
+
+    updateButtonEvents(i, source, gamepadState, currentTime);
+
+    // Full gamepad state goes out on its own addresses, alongside the pose
+    if (shouldSendOSC && gamepadState) {
+      sendGamepadData(`/controller${i}`, gamepadState);
+    }
   }
 
+  updateRecenterGesture(gamepadStates, currentTime);
+
   // Hide controllers that aren't connected
-  for (let i = xrSession.inputSources.length; i < controllerMarkers.length; i++) {
+  for (let i = controllerCount; i < controllerMarkers.length; i++) {
+    controllerSources[i] = null;
+    releaseButtonEvents(i, currentTime);
     if (controllerMarkers[i]) {
       controllerMarkers[i].visible = false;
       updateDisplay(`ctrl${i}`, {x:0,y:0,z:0}, new THREE.Euler(), false);
     }
   }
 
+  // Hide hands that aren't tracked
+  Object.keys(handMarkers).forEach(handedness => {
+    if (!trackedHands.has(handedness)) hideHand(handedness);
+  });
+
   // Update the throttling timestamp AFTER processing all devices
   if (shouldSendOSC) {
     lastOSCSendTime = currentTime;
   }
 
+  sendFrame(performance.timeOrigin + timestamp);
+
   renderer.render(scene, camera);
 }
 
+// Send the messages collected during this XR frame as one payload; the server bundles them per destination
+function sendFrame(frameTime) {
+  const messages = frameMessages;
+  frameMessages = null;
+  if (!messages || messages.length === 0) return;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  try {
+    if (socket.protocol === WS_PROTOCOL_BINARY) {
+      socket.send(encodeBinaryFrame(frameTime, messages));
+    } else {
+      socket.send(JSON.stringify({ type: 'frame', timestamp: frameTime, messages }));
+    }
+    debugLog(`Frame sent: ${messages.length} messages`);
+  } catch (err) {
+    console.error('Error sending frame:', err);
+    debugLog('Failed to send frame', err);
+  }
+}
+
+// Schema id for a message's address, layout and arg count, registering it with the server the first time.
+// The schema goes out as text before the binary frame that uses it, and WebSocket keeps that order.
+function getSchemaId(message) {
+  const key = `${message.address}|${message.layout ? message.layout.join(',') : ''}|${message.args.length}`;
+  let id = schemaIds.get(key);
+  if (id === undefined) {
+    id = schemaIds.size;
+    schemaIds.set(key, id);
+    const schema = { type: 'schema', id, address: message.address, argCount: message.args.length };
+    if (message.layout) schema.layout = message.layout;
+    socket.send(JSON.stringify(schema));
+  }
+  return id;
+}
+
+// Pack a frame as the binary protocol's typed-array frame
+function encodeBinaryFrame(frameTime, messages) {
+  const ids = messages.map(getSchemaId);
+  const size = messages.reduce((total, message) => total + 2 + message.args.length * 4, BINARY_HEADER_BYTES);
+  const view = new DataView(new ArrayBuffer(size));
+
+  view.setUint16(0, BINARY_MAGIC, true);
+  view.setUint8(2, BINARY_VERSION);
+  view.setUint8(3, BINARY_TYPE_FRAME);
+  view.setFloat64(4, frameTime, true);
+  view.setUint16(12, messages.length, true);
+
+  let offset = BINARY_HEADER_BYTES;
+  messages.forEach((message, i) => {
+    view.setUint16(offset, ids[i], true);
+    offset += 2;
+    message.args.forEach(value => {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    });
+  });
+
+  return view.buffer;
+}
+
+// Ask the server to re-center once both grips and both triggers have been held for RECENTER_HOLD_MS
+function updateRecenterGesture(gamepadStates, now) {
+  const isHeld = (state) => state && ['trigger', 'squeeze'].every(name =>
+    state.buttons.some(button => button.name === name && button.pressed));
+
+  if (gamepadStates.length < 2 || !gamepadStates.every(isHeld)) {
+    recenterHoldStart = null;
+    recenterSent = false;
+    return;
+  }
+
+  if (recenterHoldStart === null) recenterHoldStart = now;
+  if (!recenterSent && now - recenterHoldStart >= RECENTER_HOLD_MS) {
+    recenterSent = true;
+    requestRecenter();
+  }
+}
+
+// Send edge events for one controller's buttons: down/up, long-press, double-tap and chords
+function updateButtonEvents(i, source, gamepadState, now) {
+  let state = buttonEventStates[i];
+  if (!state || state.source !== source) {
+    releaseButtonEvents(i, now);
+    state = buttonEventStates[i] = { source, buttons: {}, chordStart: null, chord: null };
+  }
+  if (!gamepadState) return;
+
+  gamepadState.buttons.forEach(button => {
+    const address = `/controller${i}/button/${button.name}`;
+    let held = state.buttons[button.name];
+    if (!held) held = state.buttons[button.name] = { pressed: false, downAt: 0, longPress: false, doubleTap: false, lastTap: null };
+
+    if (button.pressed && !held.pressed) {
+      held.pressed = true;
+      held.downAt = now;
+      held.longPress = false;
+      held.doubleTap = held.lastTap !== null && now - held.lastTap.upAt <= DOUBLE_TAP_MS;
+      sendButtonEvent(`${address}/down`, [button.value]);
+      if (held.doubleTap) sendButtonEvent(`${address}/double-tap`, [(now - held.lastTap.downAt) / 1000]);
+      if (state.chord === null && (state.chordStart === null || now - state.chordStart > CHORD_WINDOW_MS)) state.chordStart = now;
+    } else if (!button.pressed && held.pressed) {
+      held.pressed = false;
+      sendButtonEvent(`${address}/up`, [(now - held.downAt) / 1000]);
+      // A short press can start a double tap; the second tap of one can't start another
+      held.lastTap = held.longPress || held.doubleTap ? null : { downAt: held.downAt, upAt: now };
+      if (state.chord && state.chord.names.includes(button.name)) {
+        sendButtonEvent(`/controller${i}/chord/${state.chord.names.join('+')}/up`, [(now - state.chord.downAt) / 1000]);
+        state.chord = null;
+      }
+    } else if (held.pressed && !held.longPress && now - held.downAt >= LONG_PRESS_MS) {
+      held.longPress = true;
+      sendButtonEvent(`${address}/long-press`, [(now - held.downAt) / 1000]);
+    }
+  });
+
+  // Once the chord window has passed, the buttons pressed during it (and still down) form a chord
+  if (state.chordStart !== null && now - state.chordStart >= CHORD_WINDOW_MS) {
+    const names = gamepadState.buttons
+      .filter(button => button.pressed && state.buttons[button.name].downAt >= state.chordStart)
+      .map(button => button.name);
+    if (names.length >= 2) {
+      state.chord = { names, downAt: state.chordStart };
+      sendButtonEvent(`/controller${i}/chord/${names.join('+')}/down`, []);
+    }
+    state.chordStart = null;
+  }
+}
+
+// Controller gone (or replaced): release whatever it was holding so receivers don't see a stuck button
+function releaseButtonEvents(i, now) {
+  const state = buttonEventStates[i];
+  buttonEventStates[i] = null;
+  if (!state) return;
+
+  Object.keys(state.buttons).forEach(name => {
+    const held = state.buttons[name];
+    if (held.pressed) sendButtonEvent(`/controller${i}/button/${name}/up`, [(now - held.downAt) / 1000]);
+  });
+  if (state.chord) sendButtonEvent(`/controller${i}/chord/${state.chord.names.join('+')}/up`, [(now - state.chord.downAt) / 1000]);
+}
+
+function sendButtonEvent(address, args) {
+  if (!oscEnabled || !socket || socket.readyState !== WebSocket.OPEN) return;
+  sendOSCMessage(address, args);
+  debugLog(`Button event ${address}`, args);
+}
+
+// The server re-centers on the last HMD pose it received, so OSC streaming has to be on
+function requestRecenter() {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    showMessage("Not connected to the server, can't re-center.");
+    return;
+  }
+  socket.send(JSON.stringify({ type: 'calibrate', action: 'recenter' }));
+  debugLog('Re-center requested');
+  playHaptic(0, 0.5, 100);
+  playHaptic(1, 0.5, 100);
+}
+
+// Read all 25 joints of a tracked hand, update its markers and send joints and pinch over OSC
+// Returns false when the hand is not tracked in this frame
+function updateHand(source, frame, referenceSpace, shouldSendOSC) {
+  const handedness = source.handedness;
+  const markers = handMarkers[handedness];
+  if (!markers || !frame.getJointPose) return false;
+
+  const jointPoses = {};
+  HAND_JOINTS.forEach((jointName, jointIdx) => {
+    const jointSpace = source.hand.get(jointName);
+    const jointPose = jointSpace ? frame.getJointPose(jointSpace, referenceSpace) : null;
+    const marker = markers[jointIdx];
+
+    if (!jointPose) {
+      marker.visible = false;
+      return;
+    }
+    jointPoses[jointName] = jointPose;
+
+    const position = jointPose.transform.position;
+    const orientation = jointPose.transform.orientation;
+    marker.position.set(position.x, position.y, position.z);
+    marker.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
+    marker.scale.setScalar(jointPose.radius || HAND_JOINT_DEFAULT_RADIUS);
+    marker.visible = true;
+  });
+
+  // Without a wrist there is nothing useful to report for this hand
+  if (!jointPoses['wrist']) {
+    hideHand(handedness);
+    return false;
+  }
+
+  const pinch = updatePinch(handedness, jointPoses['thumb-tip'], jointPoses['index-finger-tip']);
+  if (handEls[handedness]) {
+    handEls[handedness].textContent = `Tracked, pinch ${pinch.strength.toFixed(2)}`;
+    handEls[handedness].style.color = pinch.pinching ? "#4CAF50" : "#eee";
+  }
+
+  const canSend = oscEnabled && socket && socket.readyState === WebSocket.OPEN;
+
+  // Pinch start/end are events, so they go out as soon as they happen instead of on the throttled tick
+  if (canSend && pinch.changed) {
+    sendOSCMessage(`/hand/${handedness}/pinch/${pinch.pinching ? 'start' : 'end'}`, [pinch.strength]);
+  }
+
+  if (shouldSendOSC) {
+    Object.keys(jointPoses).forEach(jointName => {
+      const jointPose = jointPoses[jointName];
+      const args = poseToArgs(jointPose.transform.position, jointPose.transform.orientation);
+      args.push(Number(jointPose.radius) || 0);
+      sendOSCMessage(`/hand/${handedness}/joint/${jointName}`, args, HAND_JOINT_LAYOUT);
+    });
+    sendOSCMessage(`/hand/${handedness}/pinch`, [pinch.strength, pinch.pinching ? 1 : 0, pinch.distance], PINCH_LAYOUT);
+  }
+
+  return true;
+}
+
+// Derive pinch strength (0 = open, 1 = touching) from the thumb/index tip distance, with hysteresis
+function updatePinch(handedness, thumbTip, indexTip) {
+  const state = pinchStates[handedness];
+  let distance = PINCH_OPEN_DISTANCE;
+
+  if (thumbTip && indexTip) {
+    const a = thumbTip.transform.position;
+    const b = indexTip.transform.position;
+    distance = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  }
+
+  const range = PINCH_OPEN_DISTANCE - PINCH_CLOSED_DISTANCE;
+  const strength = Math.min(1, Math.max(0, 1 - (distance - PINCH_CLOSED_DISTANCE) / range));
+
+  const wasPinching = state.pinching;
+  if (!wasPinching && strength >= PINCH_START_STRENGTH) state.pinching = true;
+  else if (wasPinching && strength < PINCH_END_STRENGTH) state.pinching = false;
+
+  return { strength, distance, pinching: state.pinching, changed: state.pinching !== wasPinching };
+}
+
+function hideHand(handedness) {
+  if (!handMarkers[handedness]) return;
+  handMarkers[handedness].forEach(marker => { marker.visible = false; });
+  if (handEls[handedness]) {
+    handEls[handedness].textContent = 'N/A';
+    handEls[handedness].style.color = "#eee";
+  }
+
+  // A hand that disappears mid-pinch releases it
+  if (pinchStates[handedness].pinching) {
+    pinchStates[handedness].pinching = false;
+    if (oscEnabled && socket && socket.readyState === WebSocket.OPEN) {
+      sendOSCMessage(`/hand/${handedness}/pinch/end`, [0]);
+    }
+  }
+}
+
 // Update display to show button state
 function updateDisplay(id, pos, euler, btnPressed = false) {
   let currentPosEl, currentRotEl, currentBtnEl;
@@ -394,36 +1081,94 @@ function updateDisplay(id, pos, euler, btnPressed = false) {
   }
 }
 
-// Send OSC data with rotation in degrees, now includes button state for controllers
-function sendOSCData(address, position, orientation, btnPressed) {
+// Send pose data, now includes button state for controllers
+// xrPose is optional: when the browser reports velocities for it, they go along (vx vy vz, wx wy wz)
+function sendOSCData(address, position, orientation, btnPressed, xrPose = null) {
   if (!socket || socket.readyState !== WebSocket.OPEN) {
     debugLog('Cannot send OSC data - WebSocket not connected');
     return;
   }
 
-  // Convert quaternion to Euler degrees
-  const eulerDegrees = quaternionToEulerDegrees(orientation);
+  const args = poseToArgs(position, orientation);
+  let layout = POSE_LAYOUT;
+
+  if (xrPose && xrPose.linearVelocity) {
+    const v = xrPose.linearVelocity;
+    args.push(Number(v.x) || 0, Number(v.y) || 0, Number(v.z) || 0);
+    layout = layout.concat(LINEAR_VELOCITY_LAYOUT);
+  }
+  if (xrPose && xrPose.angularVelocity) {
+    const w = xrPose.angularVelocity;
+    args.push(Number(w.x) || 0, Number(w.y) || 0, Number(w.z) || 0);
+    layout = layout.concat(ANGULAR_VELOCITY_LAYOUT);
+  }
   
-  // Normalize angles to -180 to 180 range
-  const yaw = normalizeAngle(eulerDegrees.yaw);
-  const pitch = normalizeAngle(eulerDegrees.pitch);  
-  const roll = normalizeAngle(eulerDegrees.roll);
+  // If controller, append button state (0 or 1)
+  if (address.startsWith('/controller')) {
+    args.push(btnPressed ? 1 : 0);
+    layout = layout.concat('button');
+  }
+
+  sendOSCMessage(address, args, layout);
+}
 
-  const args = [
+// Build the [x, y, z, qx, qy, qz, qw] pose arguments (POSE_LAYOUT)
+function poseToArgs(position, orientation) {
+  return [
     Number(position.x) || 0,    // X position
     Number(position.y) || 0,    // Y position  
     Number(position.z) || 0,    // Z position
-    Number(yaw) || 0,           // Yaw rotation in degrees
-    Number(pitch) || 0,         // Pitch rotation in degrees
-    Number(roll) || 0           // Roll rotation in degrees
+    Number(orientation.x) || 0, // Rotation quaternion
+    Number(orientation.y) || 0,
+    Number(orientation.z) || 0,
+    orientation.w === undefined ? 1 : Number(orientation.w) || 0
   ];
-  
-  // If controller, append button state (0 or 1)
-  if (address.startsWith('/controller')) {
-    args.push(btnPressed ? 1 : 0);
+}
+
+// Send every button and axis of a controller, each on its own OSC address
+//   <prefix>/trigger, /squeeze         value pressed touched
+//   <prefix>/thumbstick, /touchpad     x y pressed touched
+//   <prefix>/button/<name>             value pressed touched  (a, b, x, y, thumbrest, ...)
+function sendGamepadData(prefix, gamepadState) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const isXRStandard = gamepadState.mapping === 'xr-standard';
+
+  gamepadState.buttons.forEach(button => {
+    const buttonArgs = [button.value, button.pressed ? 1 : 0, button.touched ? 1 : 0];
+    const axisIndices = isXRStandard ? XR_STANDARD_AXES[button.name] : null;
+
+    if (axisIndices) {
+      // Thumbstick and touchpad carry their axes along with the click/touch state
+      const x = gamepadState.axes[axisIndices[0]] || 0;
+      const y = gamepadState.axes[axisIndices[1]] || 0;
+      sendOSCMessage(`${prefix}/${button.name}`, [x, y, buttonArgs[1], buttonArgs[2]], STICK_LAYOUT);
+    } else if (isXRStandard && (button.name === 'trigger' || button.name === 'squeeze')) {
+      sendOSCMessage(`${prefix}/${button.name}`, buttonArgs, BUTTON_LAYOUT);
+    } else {
+      sendOSCMessage(`${prefix}/button/${button.name}`, buttonArgs, BUTTON_LAYOUT);
+    }
+  });
+
+  // Unknown mappings have no named sticks, so forward the raw axes
+  if (!isXRStandard && gamepadState.axes.length > 0) {
+    sendOSCMessage(`${prefix}/axes`, gamepadState.axes, gamepadState.axes.map((v, i) => `axis${i}`));
+  }
+}
+
+// Send a single {address, args, layout?} message to the bridge server.
+// During an XR frame it is collected instead and goes out with the rest of the frame (see sendFrame).
+function sendOSCMessage(address, args, layout = null) {
+  if (layout) {
+    args = applyTransmission(address, args, layout, Date.now());
+    if (!args) return;
   }
+  const payload = layout ? { address, args, layout } : { address, args };
 
-  const payload = { address, args };
+  if (frameMessages) {
+    frameMessages.push(payload);
+    return;
+  }
   
   try {
     const jsonPayload = JSON.stringify(payload);
@@ -435,6 +1180,45 @@ function sendOSCData(address, position, orientation, btnPressed) {
   }
 }
 
+// The args to send for a stream sample, or null when change-only holds it back. Values that moved less than their
+// deadband (position in mm, rotation in degrees, anything else in its own units) go out as last sent.
+// Mirrors applyTransmission in webxr_osc_server.js.
+function applyTransmission(address, args, layout, now) {
+  const { changeOnly, keepaliveMs, deadband } = transmission;
+  const last = lastSentStreams.get(address);
+  if (!last || last.layout.join(' ') !== layout.join(' ')) {
+    lastSentStreams.set(address, { args, layout, time: now });
+    return args;
+  }
+
+  const out = args.slice();
+  const indices = (fields) => fields.map(field => layout.indexOf(field));
+  const hold = (idx) => idx.forEach(i => { out[i] = last.args[i]; });
+  const grouped = new Set();
+
+  const position = indices(['x', 'y', 'z']);
+  if (!position.includes(-1)) {
+    position.forEach(i => grouped.add(i));
+    const distance = Math.hypot(...position.map(i => args[i] - last.args[i]));
+    if (distance * 1000 < (deadband.position || 0)) hold(position);
+  }
+  const rotation = indices(['qx', 'qy', 'qz', 'qw']);
+  if (!rotation.includes(-1)) {
+    rotation.forEach(i => grouped.add(i));
+    const dot = Math.abs(rotation.reduce((sum, i) => sum + args[i] * last.args[i], 0));
+    const angle = 2 * Math.acos(Math.min(1, dot)) * 180 / Math.PI;
+    if (angle < (deadband.rotation || 0)) hold(rotation);
+  }
+  layout.forEach((field, i) => {
+    if (!grouped.has(i) && Math.abs(args[i] - last.args[i]) < (deadband.value || 0)) hold([i]);
+  });
+
+  const changed = out.some((v, i) => v !== last.args[i]);
+  if (!changed && changeOnly && (keepaliveMs === 0 || now - last.time < keepaliveMs)) return null;
+  lastSentStreams.set(address, { args: out, layout, time: now });
+  return out;
+}
+
 function toggleOSC() {
   oscEnabled = !oscEnabled;
   if (oscToggleButton) oscToggleButton.textContent = oscEnabled ? 'Disable OSC Streaming' : 'Enable OSC Streaming';
@@ -468,6 +1252,12 @@ document.addEventListener('DOMContentLoaded', () => {
     messageBoxEl = document.getElementById('messageBox');
     ctrl0BtnEl = document.getElementById('ctrl0Btn');
     ctrl1BtnEl = document.getElementById('ctrl1Btn');
+    userNameEl = document.getElementById('userName');
+    userStatusEl = document.getElementById('userStatus');
+    pairingRowEl = document.getElementById('pairingRow');
+    pairingCodeEl = document.getElementById('pairingCode');
+    handEls.left = document.getElementById('handLeft');
+    handEls.right = document.getElementById('handRight');
 
     if (serverAddressEl) {
         const hostAndPort = serverAddressEl.textContent.trim();
@@ -493,6 +1283,18 @@ document.addEventListener('DOMContentLoaded', () => {
         showMessage("Error: Server address configuration missing in HTML.", 5000);
     }
     
+    if (userNameEl) {
+        userNameEl.value = loadSetting(USER_NAME_STORAGE_KEY) || '';
+        userNameEl.addEventListener('change', onUserNameChanged);
+    }
+    const pairButton = document.getElementById('pairButton');
+    if (pairButton) pairButton.addEventListener('click', sendPairingCode);
+    if (pairingCodeEl) {
+        pairingCodeEl.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') sendPairingCode();
+        });
+    }
+
     // Event Listeners
     if (startXRButton) startXRButton.addEventListener('click', startXRSession);
     if (stopXRButton) stopXRButton.addEventListener('click', stopXRSession);
@@ -0,0 +1,233 @@
+// Bridge dashboard: polls /api/status for the tables and /api/poses for the 3D view (see webxr_osc_server.js)
+
+const STATUS_INTERVAL = 1000; // ms
+const POSE_INTERVAL = 50;     // ms, about 20 FPS for the 3D view
+const DEVICE_COLORS = { hmd: 0x00aaff, controller0: 0xffaa00, controller1: 0xff00aa, hand: 0x00ff88 };
+const API_TOKEN_STORAGE_KEY = 'webxrOscDashboardToken';
+
+let scene, camera, renderer;
+let poseMarkers = new Map(); // address -> THREE.Object3D
+let orbit = { azimuth: Math.PI / 4, elevation: 0.5, distance: 4, dragging: false, lastX: 0, lastY: 0 };
+let posesPending = false;
+let controlError = ''; // The last failed control, shown until a control succeeds
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatAge(ms) {
+    if (ms < 1000) return `${ms} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    return `${Math.floor(ms / 60000)} min`;
+}
+
+function formatValue(value) {
+    return typeof value === 'number' ? value.toFixed(3) : value;
+}
+
+// The dashboard link printed by the server carries the API token after '#'. It is kept for this tab and taken out
+// of the address bar, so it doesn't end up in the browser history.
+function readApiToken() {
+    const fromLink = new URLSearchParams(location.hash.slice(1)).get('token');
+    if (!fromLink) return sessionStorage.getItem(API_TOKEN_STORAGE_KEY) || '';
+    sessionStorage.setItem(API_TOKEN_STORAGE_KEY, fromLink);
+    history.replaceState(null, '', location.pathname);
+    return fromLink;
+}
+
+const apiToken = readApiToken();
+
+async function api(method, path, body) {
+    const headers = { Authorization: `Bearer ${apiToken}` };
+    if (body) headers['Content-Type'] = 'application/json';
+    const response = await fetch(path, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `${method} ${path} failed (${response.status})`);
+    return data;
+}
+
+// --- Tables ---
+
+function renderStatus(status) {
+    const now = Date.now();
+    document.getElementById('uptime').textContent = formatAge(status.uptime * 1000);
+    const oscConnectedEl = document.getElementById('oscConnected');
+    oscConnectedEl.textContent = status.osc.oscConnected ? 'All destinations connected' : 'Not all destinations connected';
+    oscConnectedEl.className = status.osc.oscConnected ? 'ok' : 'fail';
+    document.getElementById('oscMessageCount').textContent = status.osc.oscMessageCount;
+    document.getElementById('oscErrorCount').textContent = status.osc.oscErrorCount;
+    document.getElementById('lastOSCError').textContent = status.osc.lastOSCError || 'none';
+    document.getElementById('debugMode').checked = status.logging.debugMode;
+    document.getElementById('logOscMessages').checked = status.logging.logOscMessages;
+
+    document.getElementById('devices').innerHTML = Object.keys(status.devices).map(device => {
+        const stats = status.devices[device];
+        return `<tr><td>${escapeHtml(device)}</td><td>${stats.rate}</td><td>${stats.count}</td>` +
+            `<td>${stats.lastTime ? formatAge(now - stats.lastTime) + ' ago' : '<span class="muted">never</span>'}</td></tr>`;
+    }).join('');
+
+    document.getElementById('clients').innerHTML = status.clients.map(client =>
+        `<tr><td>${client.authenticated ? escapeHtml(client.user || '-') : '<span class="muted">not paired</span>'}</td><td>${escapeHtml(client.ip)}</td><td>${escapeHtml(client.protocol)}</td>` +
+        `<td>${client.rtt === null ? '-' : `${Math.round(client.rtt)} ms`}</td>` +
+        `<td>${escapeHtml(new Date(client.connectedAt).toLocaleTimeString())}</td><td>${escapeHtml(client.userAgent)}</td></tr>`
+    ).join('') || '<tr><td colspan="6" class="muted">No headsets connected</td></tr>';
+
+    document.getElementById('destinations').innerHTML = status.osc.destinations.map(dest =>
+        `<tr><td>${escapeHtml(dest.key)}</td><td class="${dest.connected ? 'ok' : 'fail'}">${dest.connected ? 'connected' : 'down'}</td>` +
+        `<td>${dest.messageCount}</td><td>${dest.errorCount}</td><td>${escapeHtml(dest.lastError || '')}</td>` +
+        `<td><button data-destination="${escapeHtml(dest.key)}">Reconnect</button></td></tr>`
+    ).join('');
+
+    document.getElementById('addresses').innerHTML = status.addresses.map(entry =>
+        `<tr><td>${escapeHtml(entry.address)}</td><td>${escapeHtml(entry.fields.join(' '))}</td>` +
+        `<td>${escapeHtml(entry.values.map(formatValue).join(' '))}</td><td>${formatAge(entry.age)}</td></tr>`
+    ).join('') || '<tr><td colspan="4" class="muted">Nothing sent yet</td></tr>';
+}
+
+async function pollStatus() {
+    const errorEl = document.getElementById('connectionError');
+    try {
+        renderStatus(await api('GET', '/api/status'));
+        errorEl.textContent = controlError;
+    } catch (err) {
+        errorEl.textContent = `Server unreachable: ${err.message}`;
+    }
+}
+
+async function runControl(path, body) {
+    try {
+        await api('POST', path, body);
+        controlError = '';
+    } catch (err) {
+        controlError = `${path} failed: ${err.message}`;
+    }
+    pollStatus();
+}
+
+// --- 3D view ---
+
+function initScene() {
+    const canvas = document.getElementById('poseCanvas');
+    renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x1a1a1a);
+    camera = new THREE.PerspectiveCamera(60, 1, 0.01, 100);
+
+    scene.add(new THREE.GridHelper(10, 20, 0x444444, 0x2a2a2a));
+    scene.add(new THREE.AxesHelper(0.5));
+    scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const light = new THREE.DirectionalLight(0xffffff, 0.6);
+    light.position.set(2, 4, 3);
+    scene.add(light);
+
+    // Drag to orbit around the stage, scroll to zoom
+    canvas.addEventListener('pointerdown', (event) => {
+        orbit.dragging = true;
+        orbit.lastX = event.clientX;
+        orbit.lastY = event.clientY;
+        canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!orbit.dragging) return;
+        orbit.azimuth -= (event.clientX - orbit.lastX) * 0.01;
+        orbit.elevation = Math.max(-1.4, Math.min(1.4, orbit.elevation + (event.clientY - orbit.lastY) * 0.01));
+        orbit.lastX = event.clientX;
+        orbit.lastY = event.clientY;
+    });
+    canvas.addEventListener('pointerup', () => { orbit.dragging = false; });
+    canvas.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        orbit.distance = Math.max(0.5, Math.min(20, orbit.distance * (event.deltaY > 0 ? 1.1 : 0.9)));
+    }, { passive: false });
+
+    renderer.setAnimationLoop(renderScene);
+}
+
+function renderScene() {
+    const canvas = renderer.domElement;
+    if (canvas.width !== canvas.clientWidth * window.devicePixelRatio || canvas.height !== canvas.clientHeight * window.devicePixelRatio) {
+        renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
+        camera.aspect = canvas.clientWidth / canvas.clientHeight;
+        camera.updateProjectionMatrix();
+    }
+    const target = new THREE.Vector3(0, 1, 0);
+    camera.position.set(
+        target.x + orbit.distance * Math.cos(orbit.elevation) * Math.sin(orbit.azimuth),
+        target.y + orbit.distance * Math.sin(orbit.elevation),
+        target.z + orbit.distance * Math.cos(orbit.elevation) * Math.cos(orbit.azimuth)
+    );
+    camera.lookAt(target);
+    renderer.render(scene, camera);
+}
+
+// Hand joints are small spheres; every other pose a box with its own axes, -Z being where it points
+function createPoseMarker(address) {
+    const device = (address.match(/(hmd|controller\d+|hand)/) || [])[1];
+    const material = new THREE.MeshStandardMaterial({ color: DEVICE_COLORS[device] || 0xcccccc });
+    if (address.includes('/joint/')) {
+        return new THREE.Mesh(new THREE.SphereGeometry(0.01, 8, 8), material);
+    }
+    const marker = new THREE.Group();
+    const size = device === 'hmd' ? [0.18, 0.1, 0.1] : [0.04, 0.04, 0.12];
+    marker.add(new THREE.Mesh(new THREE.BoxGeometry(...size), material));
+    marker.add(new THREE.AxesHelper(0.15));
+    return marker;
+}
+
+function updatePoses(poses) {
+    const seen = new Set();
+    poses.forEach(pose => {
+        seen.add(pose.address);
+        let marker = poseMarkers.get(pose.address);
+        if (!marker) {
+            marker = createPoseMarker(pose.address);
+            poseMarkers.set(pose.address, marker);
+            scene.add(marker);
+        }
+        marker.position.fromArray(pose.position);
+        marker.quaternion.fromArray(pose.quaternion);
+    });
+    poseMarkers.forEach((marker, address) => {
+        if (seen.has(address)) return;
+        scene.remove(marker);
+        poseMarkers.delete(address);
+    });
+}
+
+async function pollPoses() {
+    if (posesPending) return;
+    posesPending = true;
+    try {
+        updatePoses((await api('GET', '/api/poses')).poses);
+    } catch (err) {
+        // pollStatus reports the connection
+    } finally {
+        posesPending = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('debugMode').addEventListener('change', (event) => {
+        runControl('/api/logging', { debugMode: event.target.checked });
+    });
+    document.getElementById('logOscMessages').addEventListener('change', (event) => {
+        runControl('/api/logging', { logOscMessages: event.target.checked });
+    });
+    document.getElementById('reconnectAll').addEventListener('click', () => runControl('/api/reconnect', {}));
+    // The table is rebuilt every poll, so its buttons are handled here
+    document.getElementById('destinations').addEventListener('click', (event) => {
+        const destination = event.target.dataset && event.target.dataset.destination;
+        if (destination) runControl('/api/reconnect', { destination });
+    });
+
+    initScene();
+    pollStatus();
+    setInterval(pollStatus, STATUS_INTERVAL);
+    setInterval(pollPoses, POSE_INTERVAL);
+});
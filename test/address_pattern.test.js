@@ -0,0 +1,53 @@
+// compileAddressPattern: OSC address patterns of the routing table (and of filters, zones, ...) as regular expressions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileAddressPattern } = require('../webxr_osc_server.js');
+
+const matches = (pattern, address) => compileAddressPattern(pattern).test(address);
+
+test('a plain address only matches itself', () => {
+  assert.ok(matches('/hmd/pose', '/hmd/pose'));
+  assert.ok(!matches('/hmd/pose', '/hmd/pose/x'));
+  assert.ok(!matches('/hmd/pose', '/hmd'));
+});
+
+test('characters that mean something in a regular expression are literal', () => {
+  assert.ok(matches('/a.b+c', '/a.b+c'));
+  assert.ok(!matches('/a.b+c', '/aXbbc'));
+});
+
+test('* and ? stay within one segment', () => {
+  assert.ok(matches('/controller*/pose', '/controller0/pose'));
+  assert.ok(matches('/controller*/pose', '/controller/pose'));
+  assert.ok(!matches('/controller*/pose', '/controller0/x/pose'));
+  assert.ok(matches('/controller?/pose', '/controller1/pose'));
+  assert.ok(!matches('/controller?/pose', '/controller10/pose'));
+});
+
+test('// matches any number of segments', () => {
+  assert.ok(matches('/hmd//*', '/hmd/pose'));
+  assert.ok(matches('/hmd//*', '/hmd/pose/velocity'));
+  assert.ok(!matches('/hmd//*', '/hmdx/pose'));
+  assert.ok(matches('//pose', '/controller0/pose'));
+  assert.ok(matches('//pose', '/user/alice/hmd/pose'));
+});
+
+test('[...] matches one character of a set or range, [!...] any other', () => {
+  assert.ok(matches('/controller[01]/pose', '/controller1/pose'));
+  assert.ok(!matches('/controller[01]/pose', '/controller2/pose'));
+  assert.ok(matches('/controller[0-9]/pose', '/controller7/pose'));
+  assert.ok(matches('/controller[!0]/pose', '/controller1/pose'));
+  assert.ok(!matches('/controller[!0]/pose', '/controller0/pose'));
+  assert.ok(!matches('/a[!x]b', '/a/b'));
+});
+
+test('{a,b} matches one of the listed strings', () => {
+  assert.ok(matches('/hand/{left,right}/pinch', '/hand/left/pinch'));
+  assert.ok(matches('/hand/{left,right}/pinch', '/hand/right/pinch'));
+  assert.ok(!matches('/hand/{left,right}/pinch', '/hand/middle/pinch'));
+});
+
+test('unclosed [ or { is an error', () => {
+  assert.throws(() => compileAddressPattern('/controller[01/pose'), /unclosed '\['/);
+  assert.throws(() => compileAddressPattern('/hand/{left,right/pinch'), /unclosed '\{'/);
+});
@@ -0,0 +1,74 @@
+// decodeBinaryFrame: the binary WebSocket protocol's frames, as written by index.html
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeBinaryFrame } = require('../webxr_osc_server.js');
+
+const schemas = new Map([
+  [0, { address: '/hmd/pose', argCount: 7, layout: 'pose' }],
+  [1, { address: '/controller0/trigger', argCount: 1 }]
+]);
+
+// A frame the way the headset builds it: header, then per message the schema id and float32 arguments
+function encodeFrame(timestamp, messages, { magic = 0x5857, version = 1, type = 1, count = messages.length } = {}) {
+  const size = 14 + messages.reduce((sum, m) => sum + 2 + m.args.length * 4, 0);
+  const buffer = Buffer.alloc(size);
+  buffer.writeUInt16LE(magic, 0);
+  buffer.writeUInt8(version, 2);
+  buffer.writeUInt8(type, 3);
+  buffer.writeDoubleLE(timestamp, 4);
+  buffer.writeUInt16LE(count, 12);
+  let offset = 14;
+  messages.forEach(m => {
+    buffer.writeUInt16LE(m.id, offset);
+    offset += 2;
+    m.args.forEach(arg => {
+      buffer.writeFloatLE(arg, offset);
+      offset += 4;
+    });
+  });
+  return buffer;
+}
+
+const pose = { id: 0, args: [0.5, 1.25, -2, 0, 0, 0, 1] };
+const trigger = { id: 1, args: [0.75] };
+
+test('decodes the timestamp and each message with its schema address and layout', () => {
+  const frame = decodeBinaryFrame(encodeFrame(1234.5, [pose, trigger]), schemas);
+  assert.equal(frame.timestamp, 1234.5);
+  assert.deepEqual(frame.messages, [
+    { address: '/hmd/pose', args: [0.5, 1.25, -2, 0, 0, 0, 1], layout: 'pose' },
+    { address: '/controller0/trigger', args: [0.75] }
+  ]);
+});
+
+test('decodes a frame that does not start at the beginning of its buffer', () => {
+  const bytes = encodeFrame(1, [trigger]);
+  const padded = Buffer.alloc(bytes.length + 3);
+  bytes.copy(padded, 3);
+  assert.deepEqual(decodeBinaryFrame(padded.subarray(3), schemas).messages, [{ address: '/controller0/trigger', args: [0.75] }]);
+});
+
+test('an empty frame has no messages', () => {
+  assert.deepEqual(decodeBinaryFrame(encodeFrame(7, []), schemas), { timestamp: 7, messages: [] });
+});
+
+test('refuses a malformed header', () => {
+  assert.throws(() => decodeBinaryFrame(Buffer.alloc(10), schemas), /shorter than its header/);
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [pose], { magic: 0x1234 }), schemas), /bad magic number/);
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [pose], { version: 2 }), schemas), /unsupported version 2/);
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [pose], { type: 9 }), schemas), /unknown message type 9/);
+});
+
+test('refuses more messages than one frame may carry', () => {
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [], { count: 257 }), schemas), /257 messages in one frame/);
+});
+
+test('refuses a frame whose length does not match its messages', () => {
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [pose], { count: 2 }), schemas), /truncated/);
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [pose]).subarray(0, 30), schemas), /truncated/);
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [pose, trigger], { count: 1 }), schemas), /unexpected bytes after the last message/);
+});
+
+test('refuses a schema id the client never announced', () => {
+  assert.throws(() => decodeBinaryFrame(encodeFrame(0, [{ id: 5, args: [] }]), schemas), /unknown schema id 5/);
+});
@@ -0,0 +1,45 @@
+// splitBundle: a frame's messages for one destination, grouped into bundles that fit one UDP datagram
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const osc = require('osc');
+const { splitBundle } = require('../webxr_osc_server.js');
+
+const MAX_BUNDLE_BYTES = 1400;
+
+function joint(i) {
+  return { address: `/hand/left/joint/joint-${i}`, args: Array.from({ length: 8 }, (_, j) => ({ type: 'f', value: i + j / 10 })) };
+}
+
+function bundleBytes(packets) {
+  return osc.writePacket({ timeTag: osc.timeTag(0), packets }, { metadata: true }).length;
+}
+
+test('a small frame stays one bundle', () => {
+  const messages = [joint(0), joint(1), joint(2)];
+  assert.deepEqual(splitBundle(messages), [messages]);
+});
+
+test('a large frame is split into bundles below the size limit, in order', () => {
+  const messages = Array.from({ length: 50 }, (_, i) => joint(i));
+  const groups = splitBundle(messages);
+  assert.ok(groups.length > 1);
+  groups.forEach(group => assert.ok(bundleBytes(group) <= MAX_BUNDLE_BYTES, `${bundleBytes(group)} bytes`));
+  assert.deepEqual(groups.flat(), messages);
+});
+
+test('the size limit is used up before a new bundle starts', () => {
+  const messages = Array.from({ length: 50 }, (_, i) => joint(i));
+  const groups = splitBundle(messages);
+  groups.slice(0, -1).forEach((group, idx) => {
+    assert.ok(bundleBytes(group.concat([groups[idx + 1][0]])) > MAX_BUNDLE_BYTES);
+  });
+});
+
+test('a message larger than the limit gets a bundle of its own', () => {
+  const huge = { address: '/huge', args: [{ type: 's', value: 'x'.repeat(2000) }] };
+  assert.deepEqual(splitBundle([joint(0), huge, joint(1)]), [[joint(0)], [huge], [joint(1)]]);
+});
+
+test('no messages, no bundles', () => {
+  assert.deepEqual(splitBundle([]), []);
+});
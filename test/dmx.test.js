@@ -0,0 +1,58 @@
+// encodeArtDmx / encodeSACN: one DMX universe as an Art-Net ArtDmx packet or an E1.31 data packet
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeArtDmx, encodeSACN } = require('../webxr_osc_server.js');
+
+const data = Buffer.alloc(512);
+data[0] = 255;
+data[511] = 7;
+
+test('ArtDmx carries the header, sequence, port address and channels', () => {
+  const packet = encodeArtDmx(0x0123, 9, data);
+  assert.equal(packet.length, 18 + 512);
+  assert.equal(packet.toString('ascii', 0, 8), 'Art-Net\0');
+  assert.equal(packet.readUInt16LE(8), 0x5000);
+  assert.equal(packet.readUInt16BE(10), 14);
+  assert.equal(packet[12], 9);
+  assert.equal(packet[13], 0);
+  assert.equal(packet.readUInt16LE(14), 0x0123);
+  assert.equal(packet.readUInt16BE(16), 512);
+  assert.deepEqual(packet.subarray(18), data);
+});
+
+test('an E1.31 packet has the three layers with their lengths, and the channels after start code 0', () => {
+  const cid = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+  const packet = encodeSACN(5, 200, data, { sourceName: 'webxr-osc', priority: 100 }, cid);
+  assert.equal(packet.length, 638);
+
+  // Root layer
+  assert.equal(packet.readUInt16BE(0), 0x0010);
+  assert.equal(packet.toString('ascii', 4, 16), 'ASC-E1.17\0\0\0');
+  assert.equal(packet.readUInt16BE(16), 0x7000 | (638 - 16));
+  assert.equal(packet.readUInt32BE(18), 0x4);
+  assert.deepEqual(packet.subarray(22, 38), cid);
+
+  // Framing layer
+  assert.equal(packet.readUInt16BE(38), 0x7000 | (638 - 38));
+  assert.equal(packet.readUInt32BE(40), 0x2);
+  assert.equal(packet.toString('utf8', 44, 53), 'webxr-osc');
+  assert.equal(packet[53], 0);
+  assert.equal(packet[108], 100);
+  assert.equal(packet[111], 200);
+  assert.equal(packet.readUInt16BE(113), 5);
+
+  // DMP layer
+  assert.equal(packet.readUInt16BE(115), 0x7000 | (638 - 115));
+  assert.equal(packet[117], 0x02);
+  assert.equal(packet[118], 0xa1);
+  assert.equal(packet.readUInt16BE(121), 1);
+  assert.equal(packet.readUInt16BE(123), 513);
+  assert.equal(packet[125], 0);
+  assert.deepEqual(packet.subarray(126), data);
+});
+
+test('a long source name is cut to leave its terminating zero', () => {
+  const packet = encodeSACN(1, 0, data, { sourceName: 'x'.repeat(80), priority: 100 }, Buffer.alloc(16));
+  assert.equal(packet.toString('utf8', 44, 107), 'x'.repeat(63));
+  assert.equal(packet[107], 0);
+});
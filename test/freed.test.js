@@ -0,0 +1,52 @@
+// encodeFreeD: the type D1 position/orientation packet sent to camera tracking receivers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeFreeD } = require('../webxr_osc_server.js');
+
+const identity = [0, 0, 0, 0, 0, 0, 1];
+
+function checksumOk(packet) {
+  let sum = 0;
+  for (let i = 0; i < packet.length; i++) sum += packet[i];
+  return (sum & 0xff) === 0x40;
+}
+
+test('a packet is 29 bytes of type D1 with the camera id and a valid checksum', () => {
+  const packet = encodeFreeD(3, identity, 0, 0);
+  assert.equal(packet.length, 29);
+  assert.equal(packet[0], 0xd1);
+  assert.equal(packet[1], 3);
+  assert.ok(checksumOk(packet));
+});
+
+test('positions are in 1/64 mm, with WebXR -z as FreeD y and WebXR y as height', () => {
+  const packet = encodeFreeD(1, [1.5, 1.7, -2, 0, 0, 0, 1], 0, 0);
+  assert.equal(packet.readIntBE(11, 3), 96000);
+  assert.equal(packet.readIntBE(14, 3), 128000);
+  assert.equal(packet.readIntBE(17, 3), 108800);
+  assert.ok(checksumOk(packet));
+});
+
+test('angles are in 1/32768 degree, a turn to the left being a negative pan', () => {
+  const half = Math.SQRT1_2;
+  const left = encodeFreeD(1, [0, 0, 0, 0, half, 0, half], 0, 0);
+  assert.ok(Math.abs(left.readIntBE(2, 3) + 90 * 32768) <= 1);
+  assert.ok(Math.abs(left.readIntBE(5, 3)) <= 1);
+  assert.ok(Math.abs(left.readIntBE(8, 3)) <= 1);
+
+  const up = encodeFreeD(1, [0, 0, 0, Math.sin(Math.PI / 12), 0, 0, Math.cos(Math.PI / 12)], 0, 0);
+  assert.ok(Math.abs(up.readIntBE(5, 3) - 30 * 32768) <= 1);
+});
+
+test('positions beyond the 24-bit range are clamped', () => {
+  const packet = encodeFreeD(1, [1000, -1000, 0, 0, 0, 0, 1], 0, 0);
+  assert.equal(packet.readIntBE(11, 3), 0x7fffff);
+  assert.equal(packet.readIntBE(17, 3), -0x800000);
+});
+
+test('zoom and focus are sent as they are', () => {
+  const packet = encodeFreeD(1, identity, 0x123456, 42);
+  assert.equal(packet.readUIntBE(20, 3), 0x123456);
+  assert.equal(packet.readUIntBE(23, 3), 42);
+  assert.ok(checksumOk(packet));
+});
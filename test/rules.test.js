@@ -0,0 +1,70 @@
+// validateRules: the rules file (or the rules config option) is checked before any rule is compiled
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateRules } = require('../webxr_osc_server.js');
+
+function problemsOf(rules) {
+  const problems = [];
+  validateRules(rules, problems);
+  return problems;
+}
+
+function problemsOfRule(overrides) {
+  const rule = { source: { address: '/controller1/pose', field: 'y' }, in: [0.5, 2], address: '/rules/right/height', ...overrides };
+  Object.keys(rule).forEach(key => rule[key] === undefined && delete rule[key]);
+  return problemsOf({ height: rule });
+}
+
+test('the example rules file is valid', () => {
+  assert.deepEqual(problemsOf(require(path.join(__dirname, '..', 'webxr_osc_rules.example.json'))), []);
+});
+
+test('rules must be an object of named rules', () => {
+  assert.equal(problemsOf([]).length, 1);
+  assert.equal(problemsOf('rules').length, 1);
+  assert.deepEqual(problemsOf({}), []);
+  assert.match(problemsOf({ 'bad name!': {} })[0], /bad name!/);
+});
+
+test('a rule needs a source, an input range and a plain address', () => {
+  const problems = problemsOfRule({ source: undefined, in: undefined, address: undefined });
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /rules\.height\.source/);
+  assert.match(problems[1], /\.in must be/);
+  assert.match(problems[2], /\.address must be/);
+});
+
+test('the source is an address and field, or the distance between two pose streams', () => {
+  assert.deepEqual(problemsOfRule({ source: { distance: ['/controller0/pose', '/controller1/pose'] } }), []);
+  assert.deepEqual(problemsOfRule({ source: { address: '/hmd/pose', field: 'yaw' } }), []);
+  assert.match(problemsOfRule({ source: { distance: ['/controller0/pose'] } })[0], /source\.distance/);
+  assert.match(problemsOfRule({ source: { address: 'hmd/pose', field: 'y' } })[0], /source\.address/);
+  assert.match(problemsOfRule({ source: { address: '/hmd/pose' } })[0], /source\.field/);
+  assert.match(problemsOfRule({ source: { address: '/hmd/pose', field: 'y', scale: 2 } })[0], /unknown key 'scale'/);
+});
+
+test('ranges, options and curve are checked', () => {
+  assert.match(problemsOfRule({ in: [1, 1] })[0], /\.in must be/);
+  assert.match(problemsOfRule({ out: [0] })[0], /\.out must be/);
+  assert.match(problemsOfRule({ clamp: 'yes' })[0], /\.clamp must be true or false/);
+  assert.match(problemsOfRule({ curve: 'wobbly' })[0], /\.curve must be one of/);
+  assert.deepEqual(problemsOfRule({ steps: 0 }), []);
+  assert.match(problemsOfRule({ steps: 1 })[0], /\.steps must be/);
+  assert.match(problemsOfRule({ steps: 2.5 })[0], /\.steps must be/);
+});
+
+test('the address sent cannot have wildcards', () => {
+  assert.match(problemsOfRule({ address: '/rules/*/height' })[0], /without wildcards/);
+});
+
+test('destinations are { host?, port } objects', () => {
+  assert.deepEqual(problemsOfRule({ destinations: [{ port: 9000 }, { host: '192.168.1.20', port: 9001 }] }), []);
+  assert.match(problemsOfRule({ destinations: { port: 9000 } })[0], /\.destinations must be an array/);
+  assert.match(problemsOfRule({ destinations: [{ port: 70000 }] })[0], /destinations\[0\]/);
+  assert.match(problemsOfRule({ destinations: [{ port: 9000, ttl: 2 }] })[0], /destinations\[0\]/);
+});
+
+test('unknown keys are reported', () => {
+  assert.match(problemsOfRule({ smoothing: 0.5 })[0], /unknown key 'smoothing'/);
+});
@@ -1,315 +1,5373 @@
 const https = require('https');
+const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const readline = require('readline');
 const WebSocket = require('ws');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
 const osc = require('osc'); // Ensure you have this installed: npm install osc
 
 // --- Configuration ---
-const SSL_KEY_FILE = 'key.pem'; // Your private key file
-const SSL_CERT_FILE = 'cert.pem'; // Your certificate file
-const SERVER_IP = '192.168.1.104'; // Your server's IP address on the local network
-const SERVER_PORT = 8443; // Port for the HTTPS server
-const OSC_TARGET_IP = '127.0.0.1'; // IP of the machine running Max/MSP (localhost if same machine)
-
-// OSC Port Configuration
-const OSC_PORTS = {
-  HMD: 7400,          // HMD data goes to port 7400
-  CONTROLLER0: 7401,  // Controller 0 data goes to port 7401
-  CONTROLLER1: 7402   // Controller 1 data goes to port 7402
+// Built-in defaults. A config file, then environment variables, then CLI flags override them.
+const DEFAULT_CONFIG = {
+  sslKeyFile: 'key.pem',          // Your private key file
+  sslCertFile: 'cert.pem',        // Your certificate file
+  serverIp: '192.168.1.104',      // Your server's IP address on the local network
+  serverPort: 8443,               // Port for the HTTPS server
+  oscTargetIp: '127.0.0.1',       // Default OSC host for destinations that don't name one (localhost if same machine)
+  // Routing table: a message goes to the destinations of every rule whose address pattern matches it
+  routes: [
+    { match: '/hmd//*', destinations: [{ port: 7400 }] },          // HMD data goes to port 7400
+    { match: '/controller0//*', destinations: [{ port: 7401 }] },  // Controller 0 data goes to port 7401
+    { match: '/controller1//*', destinations: [{ port: 7402 }] },  // Controller 1 data goes to port 7402
+    { match: '/hand//*', destinations: [{ port: 7403 }] },         // Hand tracking joints and pinch go to port 7403
+    { match: '/users/*', destinations: [{ port: 7400 }] },         // User joined/left events go with the HMD data
+    { match: '/zone//*', destinations: [{ port: 7400 }] }          // Zone enter/exit/position events too
+  ],
+  // How rotations go out unless a route or destination sets "format": quaternion, euler (deg/rad, any order),
+  // axis-angle, matrix3 or matrix4. Without an order, Euler angles use the coordinate system's usual order.
+  rotationFormat: { type: 'euler', unit: 'deg' },
+  // Axes, handedness and units unless a route or destination sets "coordinates":
+  // webxr, unity, unreal, blender or touchdesigner
+  coordinateSystem: 'webxr',
+  // Motion features derived from the pose streams matching "match", published next to them
+  // (/controller0/velocity, ...). Features: velocity, speed, acceleration, angular-velocity, jerk.
+  motion: { match: '/*/pose', features: [] },
+  // Smoothing filters by name, each for the streams matching "match", set up per channel
+  // (position: one-euro, ema, kalman; rotation: one-euro, slerp). The first filter that matches applies.
+  filters: {},
+  // Deadbands hold a stream's position (mm), rotation (degrees) or other values (their own units) until they move
+  // further. With changeOnly, unchanged streams are only resent every keepaliveMs (0: never). Headsets apply the
+  // same settings before sending; button and pinch events always go out.
+  transmission: { changeOnly: false, keepaliveMs: 1000, deadband: { position: 0, rotation: 0, value: 0 } },
+  // Spatial zones by name, in meters in the calibrated stage space: box, sphere, cylinder or polygon
+  // (see validateZone). Devices inside emit /zone/<name>/enter, /exit and /position.
+  zones: {},
+  // Virtual planes by name (screens, walls) that the controllers' aim rays are cast against, in the calibrated
+  // stage space: center, rotation [yaw, pitch, roll] in degrees, size [width, height]. Emits /controller0/plane/<name>.
+  planes: {},
+  // PosiStage.Net (PSN v2) output for media servers and lighting consoles: every stream matching "match" becomes a
+  // tracker (position, speed, orientation) sent to the destinations at dataRateHz, with its name at infoRateHz.
+  // interface: local IP to multicast from ('' for the system default). Keys left out keep these defaults.
+  psn: {
+    enabled: false,
+    match: '/*/pose',
+    destinations: [{ host: '236.10.10.10', port: 56565 }],
+    interface: '',
+    systemName: 'WebXR OSC Bridge',
+    dataRateHz: 60,
+    infoRateHz: 1
+  },
+  // FreeD D1 camera tracking (Unreal, Aximmetry, ...): the pose stream at "source" (from "user" if set) goes out
+  // as cameraId's pan/tilt/roll and x/y/z, rateHz times a second. zoom and focus come from a controller value,
+  // e.g. { "source": "/controller0/trigger", "field": "value", "in": [0, 1], "out": [0, 4095] }, or stay 0 (null).
+  // Keys left out keep these defaults.
+  freed: {
+    enabled: false,
+    source: '/controller0/aim',
+    user: '',
+    cameraId: 1,
+    destinations: [{ port: 40000 }], // host defaults to oscTargetIp, like the OSC destinations
+    rateHz: 60,
+    zoom: null,
+    focus: null
+  },
+  // DMX over Art-Net or sACN (E1.31) for lights, refreshed rateHz times a second. Each mapping takes one field of a
+  // stream (any argument, or yaw/pitch/roll of a pose in degrees), scales "in" to 0-1 through a curve and writes it
+  // to a universe/channel as 8 or 16 bits (coarse, then fine on the next channel). With no destinations,
+  // Art-Net broadcasts and sACN multicasts per universe. Keys left out keep these defaults.
+  dmx: {
+    enabled: false,
+    protocol: 'artnet',
+    destinations: [],
+    interface: '',
+    rateHz: 44,
+    sourceName: 'WebXR OSC Bridge',
+    priority: 100,
+    mappings: []
+  },
+  // Headset connections. With pairing on, a headset has to enter the one-time code shown in the server console
+  // once; it then keeps a token signed with the key in secretFile (created on first use), valid tokenTtlDays.
+  // rateLimit caps WebSocket messages per headset (a frame counts once, 0 disables it). allowlist drops addresses
+  // and argument counts app.js never sends; extraAddresses allows more, e.g. { "match": "/prop/*", "args": [1, 3] }.
+  // Rejections are appended to auditLog as JSON lines ('' to skip the file). Keys left out keep these defaults.
+  security: {
+    pairing: false,
+    tokenTtlDays: 30,
+    secretFile: 'webxr_osc_secret.key',
+    rateLimit: { messagesPerSecond: 4000, burst: 1000 }, // OSC messages, counted inside frames (~30 frames/s)
+    allowlist: true,
+    extraAddresses: [],
+    oscInputAllow: ['127.0.0.1'], // Sender IPs whose OSC the input accepts (recording, playback, calibration, haptics...)
+    auditLog: 'webxr_osc_audit.log'
+  },
+  userNamespaces: false,          // Prefix each headset's addresses with /user/<name> (for multiple performers)
+  userPortOffsets: {},            // Per-user port offsets added to every destination, e.g. { "alice": 10 }
+  oscInputIp: '127.0.0.1',        // Interface that listens for incoming OSC (haptics and other commands)
+  oscInputPort: 7500,             // UDP port for incoming OSC, 0 to disable
+  oscQueryIp: '127.0.0.1',        // Interface for OSCQuery; it streams every live value unauthenticated, so 0.0.0.0 only on a trusted network
+  oscQueryPort: 8444,             // Plain HTTP port for OSCQuery discovery (namespace, LISTEN, mDNS), 0 to disable
+  recordingsDir: 'recordings',    // Where session recordings are written and loaded from
+  calibrationFile: 'webxr_osc_calibration.json', // Saved re-centering/stage calibration per user
+  rulesFile: 'webxr_osc_rules.json', // Mapping rules (scaled values on custom addresses), reloaded when it changes
+  dashboardToken: '',             // Secret for /api/* (the dashboard link carries it); '' makes a new one each start
+  binaryProtocol: true,           // Let headsets use the compact binary WebSocket protocol (JSON stays available)
+  debugMode: true,
+  logOscMessages: false,          // Set to true to log all OSC messages
+  logSampleRate: 0.001            // Log 0.1% of messages to avoid spam
 };
 
-// Debug and logging configuration
-const DEBUG_MODE = true;
-const LOG_OSC_MESSAGES = false; // Set to true to log all OSC messages
-const LOG_SAMPLE_RATE = 0.001; // Log 0.1% of messages to avoid spam
+const DEFAULT_CONFIG_FILE = 'webxr_osc_config.json';
 
-// OSC Connection management - now supports multiple ports
-let oscUDPPorts = {
-  HMD: null,
-  CONTROLLER0: null,
-  CONTROLLER1: null
+// Older config files used a fixed per-device port map ("oscPorts"); each device becomes one routing rule
+const LEGACY_DEVICE_ROUTES = {
+  HMD: { match: '/hmd//*', port: 7400 },
+  CONTROLLER0: { match: '/controller0//*', port: 7401 },
+  CONTROLLER1: { match: '/controller1//*', port: 7402 },
+  HAND: { match: '/hand//*', port: 7403 }
 };
-let oscConnected = {
-  HMD: false,
-  CONTROLLER0: false,
-  CONTROLLER1: false
+
+// Motion features that can be derived from pose streams (see deriveMotion)
+const MOTION_FEATURES = ['velocity', 'speed', 'acceleration', 'angular-velocity', 'jerk'];
+
+// Filter types per channel, with their parameters and defaults (see the Smoothing filters section)
+const FILTER_TYPES = {
+  position: {
+    'one-euro': { minCutoff: 1, beta: 1, dCutoff: 1 },  // Hz, Hz per m/s, Hz
+    ema: { alpha: 0.5 },                                 // Weight of each new sample
+    kalman: { processNoise: 10, measurementNoise: 0.005 }, // m/s² and m (standard deviations)
+    none: {}
+  },
+  rotation: {
+    'one-euro': { minCutoff: 1, beta: 1, dCutoff: 1 },  // Hz, Hz per rad/s, Hz
+    slerp: { alpha: 0.5 },
+    none: {}
+  }
+};
+
+// Zone shapes and the keys each one takes (see validateZone)
+const ZONE_SHAPES = {
+  box: ['center', 'size'],                        // center [x, y, z], size [width, height, depth]
+  sphere: ['center', 'radius'],                   // center [x, y, z], radius
+  cylinder: ['center', 'radius', 'floor', 'height'], // center [x, z] on the floor, radius, floor y, height
+  polygon: ['points', 'floor', 'height']          // points [[x, z], ...] on the floor, extruded from floor y by height
+};
+// Plane keys (see validatePlane): center [x, y, z], rotation [yaw, pitch, roll] in degrees, size [width, height]
+const PLANE_KEYS = ['center', 'rotation', 'size', 'match'];
+// Names of zones and planes, which become part of OSC addresses
+const STAGE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const PSN_MAX_NAME_BYTES = 255; // System and tracker names in PSN info packets
+const MULTICAST_TTL = 1; // PSN and sACN multicast stays on the local network
+const FREED_LENS_KEYS = ['source', 'field', 'in', 'out']; // zoom and focus: a controller value mapped from "in" to "out"
+const FREED_LENS_MAX = 0xffffff; // Zoom and focus are 24-bit encoder values
+const DASHBOARD_TOKEN_MIN_LENGTH = 16;
+const DASHBOARD_TOKEN_PATTERN = new RegExp(`^[A-Za-z0-9_-]{${DASHBOARD_TOKEN_MIN_LENGTH},}$`); // Safe in a URL as is
+
+// DMX protocols with their universe numbering, port and default destination per universe
+const DMX_PROTOCOLS = {
+  artnet: { firstUniverse: 0, lastUniverse: 32767, port: 6454, defaultHost: () => '255.255.255.255' },
+  sacn: { firstUniverse: 1, lastUniverse: 63999, port: 5568, defaultHost: (universe) => `239.255.${universe >> 8}.${universe & 0xff}` }
+};
+// Response curves from a mapping's 0-1 input to its 0-1 output (DMX mappings and mapping rules)
+const RESPONSE_CURVES = {
+  linear: (t) => t,
+  square: (t) => t * t,                // Slow start, like a square-law dimmer
+  root: (t) => Math.sqrt(t),           // Fast start
+  's-curve': (t) => t * t * (3 - 2 * t) // Eases in and out
+};
+const DMX_MAPPING_KEYS = ['source', 'field', 'user', 'in', 'curve', 'universe', 'channel', 'resolution'];
+const ROTATION_ANGLE_FIELDS = ['yaw', 'pitch', 'roll']; // Derived from a pose's quaternion, in degrees (Euler YXZ)
+const RULE_KEYS = ['source', 'user', 'in', 'out', 'clamp', 'invert', 'curve', 'steps', 'address', 'destinations'];
+const MAX_CLIENT_ARGS = 64; // Upper bound for security.extraAddresses argument counts (the binary protocol's limit)
+const MAX_FRAME_MESSAGES = 256; // Messages in one headset frame, and so the smallest security.rateLimit.burst
+
+// These settings are bound when the HTTPS server starts and only take effect after a restart
+const RESTART_REQUIRED_KEYS = ['sslKeyFile', 'sslCertFile', 'serverIp', 'serverPort'];
+
+// Scalar settings that can be overridden from the environment or the command line
+const CONFIG_OPTIONS = [
+  { key: 'serverIp', flag: '--server-ip', env: 'WEBXR_OSC_SERVER_IP', type: 'string', help: 'IP address the HTTPS server binds to' },
+  { key: 'serverPort', flag: '--server-port', env: 'WEBXR_OSC_SERVER_PORT', type: 'number', help: 'HTTPS/WebSocket port' },
+  { key: 'oscTargetIp', flag: '--osc-target-ip', env: 'WEBXR_OSC_TARGET_IP', type: 'string', help: 'Default OSC host for routing destinations' },
+  { key: 'coordinateSystem', flag: '--coordinates', env: 'WEBXR_OSC_COORDINATES', type: 'string', help: 'Default coordinate preset: webxr, unity, unreal, blender, touchdesigner' },
+  { key: 'oscInputPort', flag: '--osc-input-port', env: 'WEBXR_OSC_INPUT_PORT', type: 'number', help: 'UDP port for incoming OSC, 0 to disable' },
+  { key: 'oscQueryPort', flag: '--oscquery-port', env: 'WEBXR_OSC_QUERY_PORT', type: 'number', help: 'HTTP port for OSCQuery discovery, 0 to disable' },
+  { key: 'userNamespaces', flag: '--user-namespaces', env: 'WEBXR_OSC_USER_NAMESPACES', type: 'boolean', help: 'Prefix addresses with /user/<name> (--no-user-namespaces to disable)' },
+  { key: 'recordingsDir', flag: '--recordings-dir', env: 'WEBXR_OSC_RECORDINGS_DIR', type: 'string', help: 'Directory for session recordings' },
+  { key: 'calibrationFile', flag: '--calibration-file', env: 'WEBXR_OSC_CALIBRATION_FILE', type: 'string', help: 'File the stage calibration is saved to' },
+  { key: 'rulesFile', flag: '--rules-file', env: 'WEBXR_OSC_RULES_FILE', type: 'string', help: 'Mapping rules file, reloaded when it changes' },
+  { key: 'dashboardToken', flag: '--dashboard-token', env: 'WEBXR_OSC_DASHBOARD_TOKEN', type: 'string', help: 'Secret for the dashboard and /api/* (default: random per start)' },
+  { key: 'sslKeyFile', flag: '--ssl-key', env: 'WEBXR_OSC_SSL_KEY', type: 'string', help: 'Private key file' },
+  { key: 'sslCertFile', flag: '--ssl-cert', env: 'WEBXR_OSC_SSL_CERT', type: 'string', help: 'Certificate file' },
+  { key: 'binaryProtocol', flag: '--binary-protocol', env: 'WEBXR_OSC_BINARY_PROTOCOL', type: 'boolean', help: 'Offer the binary WebSocket protocol (--no-binary-protocol for JSON only)' },
+  { key: 'debugMode', flag: '--debug', env: 'WEBXR_OSC_DEBUG', type: 'boolean', help: 'Enable debug logging (--no-debug to disable)' },
+  { key: 'logOscMessages', flag: '--log-osc', env: 'WEBXR_OSC_LOG_MESSAGES', type: 'boolean', help: 'Log every OSC message (--no-log-osc to disable)' },
+  { key: 'logSampleRate', flag: '--log-sample-rate', env: 'WEBXR_OSC_LOG_SAMPLE_RATE', type: 'number', help: 'Fraction of OSC messages to log (0-1)' }
+];
+
+// Error raised for invalid configuration; carries every problem found, not just the first
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Convert a string from the environment or command line to the option's type
+function parseOptionValue(option, rawValue, source) {
+  if (option.type === 'number') {
+    const num = Number(rawValue);
+    if (rawValue === '' || isNaN(num)) {
+      throw new ConfigError([`${source}: expected a number, got '${rawValue}'`]);
+    }
+    return num;
+  }
+  if (option.type === 'boolean') {
+    const normalized = String(rawValue).toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+    if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+    throw new ConfigError([`${source}: expected true/false, got '${rawValue}'`]);
+  }
+  return rawValue;
+}
+
+// Parse a DEVICE=PORT pair given to --osc-port or a WEBXR_OSC_PORT_<DEVICE> variable
+function parseDevicePort(deviceType, rawPort, source) {
+  const port = Number(rawPort);
+  if (!deviceType || rawPort === undefined || rawPort === '' || isNaN(port)) {
+    throw new ConfigError([`${source}: expected DEVICE=PORT, e.g. HMD=7400`]);
+  }
+  if (!LEGACY_DEVICE_ROUTES[deviceType.toUpperCase()]) {
+    throw new ConfigError([`${source}: unknown device '${deviceType}' (expected one of ${Object.keys(LEGACY_DEVICE_ROUTES).join(', ')})`]);
+  }
+  return { deviceType: deviceType.toUpperCase(), port };
+}
+
+// Parse command line flags into config overrides and session actions
+// Returns { configFile, overrides, help, session: { record, play, loop, speed } }
+function parseCommandLine(argv) {
+  const result = { configFile: null, overrides: {}, help: false, session: { record: null, play: null, loop: false, speed: 1 } };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.includes('=') && arg.startsWith('--')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new ConfigError([`${flag}: missing value`]);
+      return argv[++i];
+    };
+
+    if (flag === '--help' || flag === '-h') {
+      result.help = true;
+      continue;
+    }
+    if (flag === '--config' || flag === '-c') {
+      result.configFile = takeValue();
+      continue;
+    }
+    if (flag === '--osc-port') {
+      const pair = takeValue();
+      const { deviceType, port } = parseDevicePort(...pair.split('='), `${flag} ${pair}`);
+      result.overrides.oscPorts = Object.assign(result.overrides.oscPorts || {}, { [deviceType]: port });
+      continue;
+    }
+    if (flag === '--record') {
+      // The file name is optional: "--record" alone picks a timestamped name
+      const hasValue = inlineValue !== undefined || (i + 1 < argv.length && !argv[i + 1].startsWith('-'));
+      result.session.record = hasValue ? takeValue() : true;
+      continue;
+    }
+    if (flag === '--play') {
+      result.session.play = takeValue();
+      continue;
+    }
+    if (flag === '--loop') {
+      result.session.loop = true;
+      continue;
+    }
+    if (flag === '--speed') {
+      const rawSpeed = takeValue();
+      result.session.speed = Number(rawSpeed);
+      if (!(result.session.speed > 0)) throw new ConfigError([`--speed: expected a positive number, got '${rawSpeed}'`]);
+      continue;
+    }
+
+    const option = CONFIG_OPTIONS.find(opt => opt.flag === flag || (opt.type === 'boolean' && `--no-${opt.flag.slice(2)}` === flag));
+    if (!option) {
+      throw new ConfigError([`Unknown command line flag '${arg}' (see --help)`]);
+    }
+    if (option.type === 'boolean') {
+      // Boolean flags are switches; an explicit --flag=value is also accepted
+      result.overrides[option.key] = flag.startsWith('--no-')
+        ? false
+        : inlineValue === undefined ? true : parseOptionValue(option, inlineValue, flag);
+    } else {
+      result.overrides[option.key] = parseOptionValue(option, takeValue(), flag);
+    }
+  }
+
+  return result;
+}
+
+// Read config overrides from WEBXR_OSC_* environment variables
+function readEnvironment(env) {
+  const overrides = {};
+
+  CONFIG_OPTIONS.forEach(option => {
+    if (env[option.env] !== undefined) {
+      overrides[option.key] = parseOptionValue(option, env[option.env], option.env);
+    }
+  });
+  Object.keys(env).filter(name => name.startsWith('WEBXR_OSC_PORT_')).forEach(name => {
+    const { deviceType, port } = parseDevicePort(name.slice('WEBXR_OSC_PORT_'.length), env[name], name);
+    overrides.oscPorts = Object.assign(overrides.oscPorts || {}, { [deviceType]: port });
+  });
+
+  return overrides;
+}
+
+// Read the JSON config file; a missing file is only an error when it was asked for explicitly
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new ConfigError([`Config file not found: ${filePath}`]);
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new ConfigError([`${path.basename(filePath)}: ${err.message}`]);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError([`${path.basename(filePath)}: top level must be a JSON object`]);
+  }
+  return parsed;
+}
+
+function isPort(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+function isHost(value) {
+  return typeof value === 'string' && value.trim().length > 0 && !/\s/.test(value);
+}
+
+// Numbers-only array of the given length, e.g. [x, y, z]
+function isNumbers(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(v => typeof v === 'number' && isFinite(v));
+}
+
+// Check an address pattern (a "match" setting) and report it as "where"
+function validateMatch(where, value, problems) {
+  if (typeof value !== 'string' || !value.startsWith('/')) {
+    problems.push(`${where} must be an OSC address pattern starting with '/', got ${JSON.stringify(value)}`);
+    return;
+  }
+  try {
+    compileAddressPattern(value);
+  } catch (err) {
+    problems.push(`${where}: ${err.message}`);
+  }
+}
+
+// Check every setting and collect all problems so they can be fixed in one go
+function validateConfig(cfg) {
+  const problems = [];
+
+  Object.keys(cfg).forEach(key => {
+    if (!(key in DEFAULT_CONFIG)) problems.push(`Unknown setting '${key}'`);
+  });
+
+  ['sslKeyFile', 'sslCertFile'].forEach(key => {
+    if (typeof cfg[key] !== 'string' || !cfg[key]) problems.push(`${key} must be a file name`);
+  });
+  if (!isHost(cfg.serverIp)) problems.push(`serverIp must be an IP address or host name, got ${JSON.stringify(cfg.serverIp)}`);
+  if (!isPort(cfg.serverPort)) problems.push(`serverPort must be an integer between 1 and 65535, got ${JSON.stringify(cfg.serverPort)}`);
+  if (!isHost(cfg.oscTargetIp)) problems.push(`oscTargetIp must be an IP address or host name, got ${JSON.stringify(cfg.oscTargetIp)}`);
+
+  if (!isHost(cfg.oscInputIp)) problems.push(`oscInputIp must be an IP address to listen on, got ${JSON.stringify(cfg.oscInputIp)}`);
+  if (cfg.oscInputPort !== 0 && !isPort(cfg.oscInputPort)) {
+    problems.push(`oscInputPort must be 0 (disabled) or an integer between 1 and 65535, got ${JSON.stringify(cfg.oscInputPort)}`);
+  }
+  if (!isHost(cfg.oscQueryIp)) problems.push(`oscQueryIp must be an IP address to listen on, got ${JSON.stringify(cfg.oscQueryIp)}`);
+  if (cfg.oscQueryPort !== 0 && !isPort(cfg.oscQueryPort)) {
+    problems.push(`oscQueryPort must be 0 (disabled) or an integer between 1 and 65535, got ${JSON.stringify(cfg.oscQueryPort)}`);
+  } else if (cfg.oscQueryPort !== 0 && cfg.oscQueryPort === cfg.serverPort) {
+    problems.push('oscQueryPort must differ from serverPort');
+  }
+
+  validateRotationFormat(cfg.rotationFormat, 'rotationFormat', problems);
+  validateCoordinateSystem(cfg.coordinateSystem, 'coordinateSystem', problems);
+
+  if (!Array.isArray(cfg.routes) || cfg.routes.length === 0) {
+    problems.push('routes must be a non-empty array of routing rules');
+  } else {
+    cfg.routes.forEach((route, idx) => validateRoute(route, `routes[${idx}]`, problems));
+  }
+
+  if (typeof cfg.userNamespaces !== 'boolean') problems.push('userNamespaces must be true or false');
+  if (!cfg.userPortOffsets || typeof cfg.userPortOffsets !== 'object' || Array.isArray(cfg.userPortOffsets)) {
+    problems.push('userPortOffsets must be an object mapping user names to port offsets');
+  } else {
+    Object.keys(cfg.userPortOffsets).forEach(name => {
+      const offset = cfg.userPortOffsets[name];
+      if (!Number.isInteger(offset)) {
+        problems.push(`userPortOffsets.${name} must be an integer, got ${JSON.stringify(offset)}`);
+      } else if (Array.isArray(cfg.routes)) {
+        // Every destination shifted by the offset must still be a valid port
+        cfg.routes.forEach((route, idx) => (route && Array.isArray(route.destinations) ? route.destinations : []).forEach(dest => {
+          if (dest && isPort(dest.port) && !isPort(dest.port + offset)) {
+            problems.push(`userPortOffsets.${name} moves routes[${idx}] port ${dest.port} out of range`);
+          }
+        }));
+      }
+    });
+  }
+
+  if (typeof cfg.recordingsDir !== 'string' || !cfg.recordingsDir) problems.push('recordingsDir must be a directory name');
+  if (typeof cfg.calibrationFile !== 'string' || !cfg.calibrationFile) problems.push('calibrationFile must be a file name');
+  if (typeof cfg.rulesFile !== 'string' || !cfg.rulesFile) problems.push('rulesFile must be a file name');
+  if (typeof cfg.dashboardToken !== 'string' || (cfg.dashboardToken && !DASHBOARD_TOKEN_PATTERN.test(cfg.dashboardToken))) {
+    problems.push(`dashboardToken must be '' (random per start) or at least ${DASHBOARD_TOKEN_MIN_LENGTH} letters, digits, '-' or '_'`);
+  }
+
+  if (!cfg.motion || typeof cfg.motion !== 'object' || Array.isArray(cfg.motion)) {
+    problems.push('motion must be an object like { "match": "/*/pose", "features": ["velocity"] }');
+  } else {
+    Object.keys(cfg.motion).forEach(key => {
+      if (!['match', 'features'].includes(key)) problems.push(`motion: unknown key '${key}'`);
+    });
+    validateMatch('motion.match', cfg.motion.match, problems);
+    if (!Array.isArray(cfg.motion.features) || !cfg.motion.features.every(feature => MOTION_FEATURES.includes(feature))) {
+      problems.push(`motion.features must be a list of ${MOTION_FEATURES.join(', ')}`);
+    }
+  }
+
+  if (!cfg.filters || typeof cfg.filters !== 'object' || Array.isArray(cfg.filters)) {
+    problems.push('filters must be an object mapping filter names to { "match": ..., "position": ..., "rotation": ... }');
+  } else {
+    Object.keys(cfg.filters).forEach(name => validateFilter(cfg.filters[name], `filters.${name}`, problems));
+  }
+
+  if (!cfg.zones || typeof cfg.zones !== 'object' || Array.isArray(cfg.zones)) {
+    problems.push('zones must be an object mapping zone names to { "shape": ..., ... }');
+  } else {
+    Object.keys(cfg.zones).forEach(name => validateZone(name, cfg.zones[name], `zones.${name}`, problems));
+  }
+
+  if (!cfg.planes || typeof cfg.planes !== 'object' || Array.isArray(cfg.planes)) {
+    problems.push('planes must be an object mapping plane names to { "center": ..., "size": ... }');
+  } else {
+    Object.keys(cfg.planes).forEach(name => validatePlane(name, cfg.planes[name], `planes.${name}`, problems));
+  }
+
+  validatePSN(cfg.psn, problems);
+  validateFreeD(cfg.freed, problems);
+  validateDMX(cfg.dmx, problems);
+  validateSecurity(cfg.security, problems);
+
+  const transmission = cfg.transmission;
+  if (!transmission || typeof transmission !== 'object' || Array.isArray(transmission)) {
+    problems.push('transmission must be an object like { "changeOnly": true, "keepaliveMs": 1000, "deadband": { "position": 1 } }');
+  } else {
+    Object.keys(transmission).forEach(key => {
+      if (!['changeOnly', 'keepaliveMs', 'deadband'].includes(key)) problems.push(`transmission: unknown key '${key}'`);
+    });
+    if (typeof transmission.changeOnly !== 'boolean') problems.push('transmission.changeOnly must be true or false');
+    if (typeof transmission.keepaliveMs !== 'number' || !(transmission.keepaliveMs >= 0)) {
+      problems.push(`transmission.keepaliveMs must be 0 (no keepalive) or a number of milliseconds, got ${JSON.stringify(transmission.keepaliveMs)}`);
+    }
+    const deadband = transmission.deadband;
+    if (!deadband || typeof deadband !== 'object' || Array.isArray(deadband)) {
+      problems.push('transmission.deadband must be an object with "position" (mm), "rotation" (degrees) and "value"');
+    } else {
+      Object.keys(deadband).forEach(key => {
+        if (!['position', 'rotation', 'value'].includes(key)) {
+          problems.push(`transmission.deadband: unknown key '${key}'`);
+        } else if (typeof deadband[key] !== 'number' || !(deadband[key] >= 0)) {
+          problems.push(`transmission.deadband.${key} must be a number, 0 or more, got ${JSON.stringify(deadband[key])}`);
+        }
+      });
+    }
+  }
+
+  ['debugMode', 'logOscMessages'].forEach(key => {
+    if (typeof cfg[key] !== 'boolean') problems.push(`${key} must be true or false`);
+  });
+  if (typeof cfg.logSampleRate !== 'number' || cfg.logSampleRate < 0 || cfg.logSampleRate > 1) {
+    problems.push(`logSampleRate must be a number between 0 and 1, got ${JSON.stringify(cfg.logSampleRate)}`);
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return cfg;
+}
+
+// Check one filter: { match, position?: { type, ...params }, rotation?: { type, ...params } }
+function validateFilter(filter, where, problems) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    problems.push(`${where} must be an object with "match" and "position" and/or "rotation"`);
+    return;
+  }
+  Object.keys(filter).forEach(key => {
+    if (!['match', ...Object.keys(FILTER_TYPES)].includes(key)) problems.push(`${where}: unknown key '${key}'`);
+  });
+  validateMatch(`${where}.match`, filter.match, problems);
+  Object.keys(FILTER_TYPES).forEach(channel => {
+    if (filter[channel] !== undefined) validateFilterChannel(filter[channel], channel, `${where}.${channel}`, problems);
+  });
+}
+
+// Check the settings of one filter channel, e.g. { "type": "one-euro", "beta": 0.5 }
+function validateFilterChannel(settings, channel, where, problems) {
+  const types = FILTER_TYPES[channel];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings) || !Object.prototype.hasOwnProperty.call(types, settings.type)) {
+    problems.push(`${where} must be an object with a "type" of ${Object.keys(types).join(', ')}`);
+    return;
+  }
+  Object.keys(settings).forEach(key => {
+    if (key === 'type') return;
+    const value = settings[key];
+    if (!Object.prototype.hasOwnProperty.call(types[settings.type], key)) {
+      problems.push(`${where}: ${settings.type} has no parameter '${key}' (${Object.keys(types[settings.type]).join(', ') || 'none'})`);
+    } else if (typeof value !== 'number' || !(key === 'alpha' ? value > 0 && value <= 1 : key === 'beta' ? value >= 0 : value > 0)) {
+      const range = key === 'alpha' ? 'between 0 and 1' : key === 'beta' ? '0 or more' : 'greater than 0';
+      problems.push(`${where}.${key} must be a number ${range}, got ${JSON.stringify(value)}`);
+    }
+  });
+}
+
+// Check one zone: { shape, match?, ...the shape's keys (ZONE_SHAPES) }. floor defaults to 0.
+function validateZone(name, zone, where, problems) {
+  if (!STAGE_NAME_PATTERN.test(name)) problems.push(`${where}: zone names may only use letters, digits, '-' and '_'`);
+  if (!zone || typeof zone !== 'object' || Array.isArray(zone) || !Object.prototype.hasOwnProperty.call(ZONE_SHAPES, zone.shape)) {
+    problems.push(`${where} must be an object with a "shape" of ${Object.keys(ZONE_SHAPES).join(', ')}`);
+    return;
+  }
+  const keys = ZONE_SHAPES[zone.shape];
+  Object.keys(zone).forEach(key => {
+    if (key !== 'shape' && key !== 'match' && !keys.includes(key)) problems.push(`${where}: a ${zone.shape} has no '${key}'`);
+  });
+  if (zone.match !== undefined) validateMatch(`${where}.match`, zone.match, problems);
+
+  const isPositive = (value) => typeof value === 'number' && value > 0 && isFinite(value);
+  const centerLength = zone.shape === 'cylinder' ? 2 : 3;
+  if (keys.includes('center') && !isNumbers(zone.center, centerLength)) {
+    problems.push(`${where}.center must be ${centerLength === 2 ? '[x, z]' : '[x, y, z]'} in meters`);
+  }
+  if (keys.includes('size') && !(isNumbers(zone.size, 3) && zone.size.every(isPositive))) {
+    problems.push(`${where}.size must be [width, height, depth] in meters, all greater than 0`);
+  }
+  ['radius', 'height'].forEach(key => {
+    if (keys.includes(key) && !isPositive(zone[key])) problems.push(`${where}.${key} must be a number of meters greater than 0`);
+  });
+  if (keys.includes('floor') && zone.floor !== undefined && !(typeof zone.floor === 'number' && isFinite(zone.floor))) {
+    problems.push(`${where}.floor must be a height in meters`);
+  }
+  if (keys.includes('points') && !(Array.isArray(zone.points) && zone.points.length >= 3 && zone.points.every(point => isNumbers(point, 2)))) {
+    problems.push(`${where}.points must be at least 3 [x, z] points in meters`);
+  }
+}
+
+// Check one plane: { center, size, rotation?, match? }. rotation defaults to [0, 0, 0], facing +Z.
+function validatePlane(name, plane, where, problems) {
+  if (!STAGE_NAME_PATTERN.test(name)) problems.push(`${where}: plane names may only use letters, digits, '-' and '_'`);
+  if (!plane || typeof plane !== 'object' || Array.isArray(plane)) {
+    problems.push(`${where} must be an object with "center" and "size"`);
+    return;
+  }
+  Object.keys(plane).forEach(key => {
+    if (!PLANE_KEYS.includes(key)) problems.push(`${where}: unknown key '${key}'`);
+  });
+  if (plane.match !== undefined) validateMatch(`${where}.match`, plane.match, problems);
+
+  if (!isNumbers(plane.center, 3)) problems.push(`${where}.center must be [x, y, z] in meters`);
+  if (!(isNumbers(plane.size, 2) && plane.size.every(v => v > 0))) {
+    problems.push(`${where}.size must be [width, height] in meters, both greater than 0`);
+  }
+  if (plane.rotation !== undefined && !isNumbers(plane.rotation, 3)) {
+    problems.push(`${where}.rotation must be [yaw, pitch, roll] in degrees`);
+  }
+}
+
+// Check the psn settings; every key is optional and falls back to DEFAULT_CONFIG.psn
+function validatePSN(psn, problems) {
+  if (!psn || typeof psn !== 'object' || Array.isArray(psn)) {
+    problems.push('psn must be an object like { "enabled": true, "destinations": [{ "host": "236.10.10.10", "port": 56565 }] }');
+    return;
+  }
+  Object.keys(psn).forEach(key => {
+    if (!(key in DEFAULT_CONFIG.psn)) problems.push(`psn: unknown key '${key}'`);
+  });
+  if (psn.enabled !== undefined && typeof psn.enabled !== 'boolean') problems.push('psn.enabled must be true or false');
+  if (psn.match !== undefined) validateMatch('psn.match', psn.match, problems);
+  if (psn.destinations !== undefined) {
+    if (!Array.isArray(psn.destinations) || psn.destinations.length === 0) {
+      problems.push('psn.destinations must be a non-empty array of { "host": ..., "port": ... }');
+    } else {
+      psn.destinations.forEach((dest, idx) => {
+        if (!dest || typeof dest !== 'object' || !isHost(dest.host) || !isPort(dest.port) || Object.keys(dest).some(key => key !== 'host' && key !== 'port')) {
+          problems.push(`psn.destinations[${idx}] must be { "host": ..., "port": ... }, got ${JSON.stringify(dest)}`);
+        }
+      });
+    }
+  }
+  if (psn.interface !== undefined && psn.interface !== '' && !isHost(psn.interface)) {
+    problems.push(`psn.interface must be a local IP address or '', got ${JSON.stringify(psn.interface)}`);
+  }
+  if (psn.systemName !== undefined && !(typeof psn.systemName === 'string' && psn.systemName.length > 0 && Buffer.byteLength(psn.systemName) <= PSN_MAX_NAME_BYTES)) {
+    problems.push(`psn.systemName must be a name of 1 to ${PSN_MAX_NAME_BYTES} bytes`);
+  }
+  if (psn.dataRateHz !== undefined && !(typeof psn.dataRateHz === 'number' && psn.dataRateHz >= 1 && psn.dataRateHz <= 1000)) {
+    problems.push(`psn.dataRateHz must be a number from 1 to 1000, got ${JSON.stringify(psn.dataRateHz)}`);
+  }
+  if (psn.infoRateHz !== undefined && !(typeof psn.infoRateHz === 'number' && psn.infoRateHz >= 0.1 && psn.infoRateHz <= 10)) {
+    problems.push(`psn.infoRateHz must be a number from 0.1 to 10, got ${JSON.stringify(psn.infoRateHz)}`);
+  }
+}
+
+// Check the freed settings; every key is optional and falls back to DEFAULT_CONFIG.freed
+function validateFreeD(freed, problems) {
+  if (!freed || typeof freed !== 'object' || Array.isArray(freed)) {
+    problems.push('freed must be an object like { "enabled": true, "source": "/controller0/aim", "destinations": [{ "port": 40000 }] }');
+    return;
+  }
+  Object.keys(freed).forEach(key => {
+    if (!(key in DEFAULT_CONFIG.freed)) problems.push(`freed: unknown key '${key}'`);
+  });
+  if (freed.enabled !== undefined && typeof freed.enabled !== 'boolean') problems.push('freed.enabled must be true or false');
+  if (freed.source !== undefined && !(typeof freed.source === 'string' && freed.source.startsWith('/'))) {
+    problems.push(`freed.source must be the OSC address of a pose stream, e.g. "/controller0/aim", got ${JSON.stringify(freed.source)}`);
+  }
+  if (freed.user !== undefined && typeof freed.user !== 'string') problems.push('freed.user must be a user name, or "" for any headset');
+  if (freed.cameraId !== undefined && !(Number.isInteger(freed.cameraId) && freed.cameraId >= 0 && freed.cameraId <= 255)) {
+    problems.push(`freed.cameraId must be an integer from 0 to 255, got ${JSON.stringify(freed.cameraId)}`);
+  }
+  if (freed.destinations !== undefined) {
+    if (!Array.isArray(freed.destinations) || freed.destinations.length === 0) {
+      problems.push('freed.destinations must be a non-empty array of { "host": ..., "port": ... }');
+    } else {
+      freed.destinations.forEach((dest, idx) => {
+        if (!dest || typeof dest !== 'object' || (dest.host !== undefined && !isHost(dest.host)) || !isPort(dest.port) ||
+            Object.keys(dest).some(key => key !== 'host' && key !== 'port')) {
+          problems.push(`freed.destinations[${idx}] must be { "host"?: ..., "port": ... }, got ${JSON.stringify(dest)}`);
+        }
+      });
+    }
+  }
+  if (freed.rateHz !== undefined && !(typeof freed.rateHz === 'number' && freed.rateHz >= 1 && freed.rateHz <= 1000)) {
+    problems.push(`freed.rateHz must be a number from 1 to 1000, got ${JSON.stringify(freed.rateHz)}`);
+  }
+
+  ['zoom', 'focus'].forEach(key => {
+    const lens = freed[key];
+    if (lens === undefined || lens === null) return;
+    const where = `freed.${key}`;
+    if (typeof lens !== 'object' || Array.isArray(lens)) {
+      problems.push(`${where} must be null or { "source": ..., "field": ..., "in": [min, max], "out": [min, max] }`);
+      return;
+    }
+    Object.keys(lens).forEach(name => {
+      if (!FREED_LENS_KEYS.includes(name)) problems.push(`${where}: unknown key '${name}'`);
+    });
+    if (!(typeof lens.source === 'string' && lens.source.startsWith('/'))) {
+      problems.push(`${where}.source must be the OSC address of a controller value, e.g. "/controller0/trigger"`);
+    }
+    if (!(typeof lens.field === 'string' && LAYOUT_FIELD_PATTERN.test(lens.field))) {
+      problems.push(`${where}.field must name one of the source's arguments, e.g. "value" or "y"`);
+    }
+    const isRange = (range) => isNumbers(range, 2) && range[0] !== range[1];
+    if (lens.in !== undefined && !isRange(lens.in)) problems.push(`${where}.in must be [min, max] of the controller value`);
+    if (lens.out !== undefined && !(isRange(lens.out) && lens.out.every(v => Number.isInteger(v) && v >= 0 && v <= FREED_LENS_MAX))) {
+      problems.push(`${where}.out must be [min, max], integers from 0 to ${FREED_LENS_MAX}`);
+    }
+  });
+}
+
+// Check the dmx settings; every key is optional and falls back to DEFAULT_CONFIG.dmx
+function validateDMX(dmx, problems) {
+  if (!dmx || typeof dmx !== 'object' || Array.isArray(dmx)) {
+    problems.push('dmx must be an object like { "enabled": true, "protocol": "artnet", "mappings": [...] }');
+    return;
+  }
+  Object.keys(dmx).forEach(key => {
+    if (!(key in DEFAULT_CONFIG.dmx)) problems.push(`dmx: unknown key '${key}'`);
+  });
+  if (dmx.enabled !== undefined && typeof dmx.enabled !== 'boolean') problems.push('dmx.enabled must be true or false');
+  const protocol = dmx.protocol === undefined ? DEFAULT_CONFIG.dmx.protocol : dmx.protocol;
+  if (!Object.prototype.hasOwnProperty.call(DMX_PROTOCOLS, protocol)) {
+    problems.push(`dmx.protocol must be one of ${Object.keys(DMX_PROTOCOLS).join(', ')}, got ${JSON.stringify(protocol)}`);
+  }
+  if (dmx.destinations !== undefined) {
+    if (!Array.isArray(dmx.destinations)) {
+      problems.push('dmx.destinations must be an array of { "host": ..., "port"?: ... } (empty: broadcast/multicast)');
+    } else {
+      dmx.destinations.forEach((dest, idx) => {
+        if (!dest || typeof dest !== 'object' || !isHost(dest.host) || (dest.port !== undefined && !isPort(dest.port)) ||
+            Object.keys(dest).some(key => key !== 'host' && key !== 'port')) {
+          problems.push(`dmx.destinations[${idx}] must be { "host": ..., "port"?: ... }, got ${JSON.stringify(dest)}`);
+        }
+      });
+    }
+  }
+  if (dmx.interface !== undefined && dmx.interface !== '' && !isHost(dmx.interface)) {
+    problems.push(`dmx.interface must be a local IP address or '', got ${JSON.stringify(dmx.interface)}`);
+  }
+  if (dmx.rateHz !== undefined && !(typeof dmx.rateHz === 'number' && dmx.rateHz >= 1 && dmx.rateHz <= 44)) {
+    problems.push(`dmx.rateHz must be a number from 1 to 44, got ${JSON.stringify(dmx.rateHz)}`);
+  }
+  if (dmx.sourceName !== undefined && !(typeof dmx.sourceName === 'string' && dmx.sourceName.length > 0 && Buffer.byteLength(dmx.sourceName) < 64)) {
+    problems.push('dmx.sourceName must be a name of 1 to 63 bytes');
+  }
+  if (dmx.priority !== undefined && !(Number.isInteger(dmx.priority) && dmx.priority >= 0 && dmx.priority <= 200)) {
+    problems.push(`dmx.priority must be an integer from 0 to 200, got ${JSON.stringify(dmx.priority)}`);
+  }
+  if (dmx.mappings !== undefined) {
+    if (!Array.isArray(dmx.mappings)) {
+      problems.push('dmx.mappings must be an array of { "source": ..., "field": ..., "in": [min, max], "universe": ..., "channel": ... }');
+    } else {
+      dmx.mappings.forEach((mapping, idx) => validateDMXMapping(mapping, DMX_PROTOCOLS[protocol], `dmx.mappings[${idx}]`, problems));
+    }
+  }
+}
+
+// Check one DMX mapping: { source, field, in, universe, channel, user?, curve?, resolution? }
+function validateDMXMapping(mapping, protocol, where, problems) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    problems.push(`${where} must be an object with "source", "field", "in", "universe" and "channel"`);
+    return;
+  }
+  Object.keys(mapping).forEach(key => {
+    if (!DMX_MAPPING_KEYS.includes(key)) problems.push(`${where}: unknown key '${key}'`);
+  });
+  if (!(typeof mapping.source === 'string' && mapping.source.startsWith('/'))) {
+    problems.push(`${where}.source must be the OSC address of a stream, e.g. "/controller0/pose"`);
+  }
+  if (!(typeof mapping.field === 'string' && LAYOUT_FIELD_PATTERN.test(mapping.field))) {
+    problems.push(`${where}.field must name one of the source's arguments, or ${ROTATION_ANGLE_FIELDS.join('/')}`);
+  }
+  if (mapping.user !== undefined && typeof mapping.user !== 'string') problems.push(`${where}.user must be a user name, or "" for any headset`);
+  if (!(Array.isArray(mapping.in) && mapping.in.length === 2 && mapping.in.every(v => typeof v === 'number' && isFinite(v)) && mapping.in[0] !== mapping.in[1])) {
+    problems.push(`${where}.in must be [min, max] of the field (reversed to invert)`);
+  }
+  if (mapping.curve !== undefined && !Object.prototype.hasOwnProperty.call(RESPONSE_CURVES, mapping.curve)) {
+    problems.push(`${where}.curve must be one of ${Object.keys(RESPONSE_CURVES).join(', ')}`);
+  }
+  if (protocol && !(Number.isInteger(mapping.universe) && mapping.universe >= protocol.firstUniverse && mapping.universe <= protocol.lastUniverse)) {
+    problems.push(`${where}.universe must be an integer from ${protocol.firstUniverse} to ${protocol.lastUniverse}`);
+  }
+  if (mapping.resolution !== undefined && mapping.resolution !== 8 && mapping.resolution !== 16) {
+    problems.push(`${where}.resolution must be 8 or 16 (bits)`);
+  }
+  const lastChannel = mapping.resolution === 16 ? 511 : 512;
+  if (!(Number.isInteger(mapping.channel) && mapping.channel >= 1 && mapping.channel <= lastChannel)) {
+    problems.push(`${where}.channel must be an integer from 1 to ${lastChannel}`);
+  }
+}
+
+// Check the security settings; every key is optional and falls back to DEFAULT_CONFIG.security
+function validateSecurity(security, problems) {
+  if (!security || typeof security !== 'object' || Array.isArray(security)) {
+    problems.push('security must be an object like { "pairing": true, "rateLimit": { "messagesPerSecond": 4000 } }');
+    return;
+  }
+  Object.keys(security).forEach(key => {
+    if (!(key in DEFAULT_CONFIG.security)) problems.push(`security: unknown key '${key}'`);
+  });
+  ['pairing', 'allowlist'].forEach(key => {
+    if (security[key] !== undefined && typeof security[key] !== 'boolean') problems.push(`security.${key} must be true or false`);
+  });
+  if (security.tokenTtlDays !== undefined && !(typeof security.tokenTtlDays === 'number' && security.tokenTtlDays > 0)) {
+    problems.push(`security.tokenTtlDays must be a positive number of days, got ${JSON.stringify(security.tokenTtlDays)}`);
+  }
+  if (security.secretFile !== undefined && !(typeof security.secretFile === 'string' && security.secretFile)) {
+    problems.push('security.secretFile must be a file name');
+  }
+  if (security.oscInputAllow !== undefined && !(Array.isArray(security.oscInputAllow) && security.oscInputAllow.every(ip => typeof ip === 'string' && net.isIP(ip)))) {
+    problems.push(`security.oscInputAllow must be an array of sender IP addresses, got ${JSON.stringify(security.oscInputAllow)}`);
+  }
+  if (security.auditLog !== undefined && typeof security.auditLog !== 'string') {
+    problems.push('security.auditLog must be a file name, or "" to only log rejections to the console');
+  }
+
+  const rateLimit = security.rateLimit;
+  if (rateLimit !== undefined) {
+    if (!rateLimit || typeof rateLimit !== 'object' || Array.isArray(rateLimit)) {
+      problems.push('security.rateLimit must be an object like { "messagesPerSecond": 4000, "burst": 1000 }');
+    } else {
+      Object.keys(rateLimit).forEach(key => {
+        if (!(key in DEFAULT_CONFIG.security.rateLimit)) problems.push(`security.rateLimit: unknown key '${key}'`);
+      });
+      if (rateLimit.messagesPerSecond !== undefined && !(typeof rateLimit.messagesPerSecond === 'number' && rateLimit.messagesPerSecond >= 0)) {
+        problems.push(`security.rateLimit.messagesPerSecond must be 0 (no limit) or a positive number, got ${JSON.stringify(rateLimit.messagesPerSecond)}`);
+      }
+      if (rateLimit.burst !== undefined && !(typeof rateLimit.burst === 'number' && rateLimit.burst >= MAX_FRAME_MESSAGES)) {
+        problems.push(`security.rateLimit.burst must be a number of messages, at least ${MAX_FRAME_MESSAGES} (a full frame), got ${JSON.stringify(rateLimit.burst)}`);
+      }
+    }
+  }
+
+  if (security.extraAddresses !== undefined) {
+    if (!Array.isArray(security.extraAddresses)) {
+      problems.push('security.extraAddresses must be an array of { "match": ..., "args": [min, max] }');
+      return;
+    }
+    security.extraAddresses.forEach((entry, idx) => {
+      const where = `security.extraAddresses[${idx}]`;
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        problems.push(`${where} must be { "match": ..., "args": [min, max] }`);
+        return;
+      }
+      Object.keys(entry).forEach(key => {
+        if (!['match', 'args'].includes(key)) problems.push(`${where}: unknown key '${key}'`);
+      });
+      validateMatch(`${where}.match`, entry.match, problems);
+      const args = entry.args;
+      if (!(Array.isArray(args) && args.length === 2 && args.every(n => Number.isInteger(n) && n >= 0 && n <= MAX_CLIENT_ARGS) && args[0] <= args[1])) {
+        problems.push(`${where}.args must be [min, max] argument counts from 0 to ${MAX_CLIENT_ARGS}`);
+      }
+    });
+  }
+}
+
+// Check one routing rule: { match, format?, coordinates?, destinations: [{ host?, port, rewrite?, format?, coordinates? }] }
+function validateRoute(route, where, problems) {
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    problems.push(`${where} must be an object with "match" and "destinations"`);
+    return;
+  }
+  Object.keys(route).forEach(key => {
+    if (!['match', 'format', 'coordinates', 'destinations'].includes(key)) problems.push(`${where}: unknown key '${key}'`);
+  });
+  if (route.format !== undefined) validateRotationFormat(route.format, `${where}.format`, problems);
+  if (route.coordinates !== undefined) validateCoordinateSystem(route.coordinates, `${where}.coordinates`, problems);
+
+  validateMatch(`${where}.match`, route.match, problems);
+
+  if (!Array.isArray(route.destinations) || route.destinations.length === 0) {
+    problems.push(`${where}.destinations must be a non-empty array`);
+    return;
+  }
+  route.destinations.forEach((dest, idx) => {
+    const destWhere = `${where}.destinations[${idx}]`;
+    if (!dest || typeof dest !== 'object' || Array.isArray(dest)) {
+      problems.push(`${destWhere} must be an object like { "host": "127.0.0.1", "port": 7400 }`);
+      return;
+    }
+    Object.keys(dest).forEach(key => {
+      if (!['host', 'port', 'rewrite', 'format', 'coordinates'].includes(key)) problems.push(`${destWhere}: unknown key '${key}'`);
+    });
+    if (dest.format !== undefined) validateRotationFormat(dest.format, `${destWhere}.format`, problems);
+    if (dest.coordinates !== undefined) validateCoordinateSystem(dest.coordinates, `${destWhere}.coordinates`, problems);
+    if (dest.host !== undefined && !isHost(dest.host)) {
+      problems.push(`${destWhere}.host must be an IP address or host name, got ${JSON.stringify(dest.host)}`);
+    }
+    if (!isPort(dest.port)) {
+      problems.push(`${destWhere}.port must be an integer between 1 and 65535, got ${JSON.stringify(dest.port)}`);
+    }
+    if (dest.rewrite !== undefined && (typeof dest.rewrite !== 'string' || !dest.rewrite.startsWith('/'))) {
+      problems.push(`${destWhere}.rewrite must be an address template starting with '/', got ${JSON.stringify(dest.rewrite)}`);
+    }
+  });
+}
+
+// Turn a legacy { HMD: 7400, ... } port map into routing rules; devices it leaves out keep their old default port
+function legacyPortsToRoutes(oscPorts) {
+  if (!oscPorts || typeof oscPorts !== 'object') {
+    throw new ConfigError(['oscPorts must be an object mapping device types to ports']);
+  }
+  Object.keys(oscPorts).forEach(deviceType => {
+    if (!LEGACY_DEVICE_ROUTES[deviceType]) {
+      throw new ConfigError([`oscPorts.${deviceType} is not a device type (expected one of ${Object.keys(LEGACY_DEVICE_ROUTES).join(', ')})`]);
+    }
+  });
+  const routes = Object.keys(LEGACY_DEVICE_ROUTES).map(deviceType => ({
+    match: LEGACY_DEVICE_ROUTES[deviceType].match,
+    destinations: [{ port: deviceType in oscPorts ? oscPorts[deviceType] : LEGACY_DEVICE_ROUTES[deviceType].port }]
+  }));
+  // User and zone events travel with the HMD data, as in the default routes
+  routes.push({ match: '/users/*', destinations: routes[0].destinations });
+  routes.push({ match: '/zone//*', destinations: routes[0].destinations });
+  return routes;
+}
+
+// Point each device's routing rule (the one with its legacy pattern) at another port, for --osc-port and
+// WEBXR_OSC_PORT_<DEVICE>. A device without such a rule gets one.
+function applyDevicePorts(routes, devicePorts) {
+  if (Object.keys(devicePorts).length === 0 || !Array.isArray(routes)) return routes;
+  const result = routes.map(route => (route && typeof route === 'object' ? { ...route } : route));
+  Object.keys(devicePorts).forEach(deviceType => {
+    const { match } = LEGACY_DEVICE_ROUTES[deviceType];
+    const port = devicePorts[deviceType];
+    const matching = result.filter(route => route && route.match === match);
+    if (matching.length === 0) result.push({ match, destinations: [{ port }] });
+    matching.forEach(route => {
+      route.destinations = Array.isArray(route.destinations) ? route.destinations.map(dest => ({ ...dest, port })) : [{ port }];
+    });
+  });
+  return result;
+}
+
+// Merge defaults, config file, environment and CLI overrides (later wins), then validate
+function loadConfig() {
+  const fileConfig = readConfigFile(configFilePath, configFileRequired);
+
+  if ('oscPorts' in fileConfig) {
+    if (!fileConfig.routes) fileConfig.routes = legacyPortsToRoutes(fileConfig.oscPorts);
+    delete fileConfig.oscPorts;
+  }
+
+  const merged = Object.assign({}, DEFAULT_CONFIG, fileConfig, envOverrides, cliOptions.overrides);
+  // Device port overrides merge per device, the command line winning over the environment
+  delete merged.oscPorts;
+  merged.routes = applyDevicePorts(merged.routes, Object.assign({}, envOverrides.oscPorts, cliOptions.overrides.oscPorts));
+  return validateConfig(merged);
+}
+
+function printUsage() {
+  console.log('Usage: node webxr_osc_server.js [options]\n');
+  console.log(`  --config, -c <file>        JSON config file (default: ${DEFAULT_CONFIG_FILE}, env WEBXR_OSC_CONFIG)`);
+  CONFIG_OPTIONS.forEach(option => {
+    const usage = option.type === 'boolean' ? option.flag : `${option.flag} <${option.type}>`;
+    console.log(`  ${usage.padEnd(27)}${option.help} (env ${option.env})`);
+  });
+  console.log(`  ${'--osc-port <DEVICE=PORT>'.padEnd(27)}Port for ${Object.keys(LEGACY_DEVICE_ROUTES).join('/')}'s routing rule (env WEBXR_OSC_PORT_<DEVICE>)`);
+  console.log(`  ${'--record [file]'.padEnd(27)}Record incoming messages from startup (file goes in recordingsDir)`);
+  console.log(`  ${'--play <file>'.padEnd(27)}Play a recording to the OSC outputs at startup`);
+  console.log(`  ${'--loop'.padEnd(27)}Loop playback`);
+  console.log(`  ${'--speed <factor>'.padEnd(27)}Playback speed (default 1)`);
+  console.log(`  ${'--help, -h'.padEnd(27)}Show this help`);
+}
+
+// --- Rotation formats and argument layouts ---
+// Clients declare each stream's argument layout, one field name per arg, e.g.
+//   ['x', 'y', 'z', 'qx', 'qy', 'qz', 'qw', 'button']
+// Position (x, y, z) is in meters and rotation arrives as a quaternion (qx, qy, qz, qw).
+// Each destination picks how the rotation goes out and in which coordinate system (see below);
+// every other field is passed through in place.
+const ROTATION_TYPES = ['quaternion', 'euler', 'axis-angle', 'matrix3', 'matrix4'];
+const EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+const POSITION_FIELDS = ['x', 'y', 'z'];
+const LENGTH_FIELDS = ['radius', 'distance', 'speed']; // Scalar lengths (m) and speeds (m/s), scaled with the unit
+// Other vectors: linear ones (m/s, m/s², m/s³) turn and scale like positions, angular velocity (rad/s) only turns
+const LINEAR_VECTOR_FIELDS = [['vx', 'vy', 'vz'], ['accx', 'accy', 'accz'], ['jx', 'jy', 'jz']];
+const ANGULAR_VECTOR_FIELDS = [['wx', 'wy', 'wz']];
+const QUATERNION_FIELDS = ['qx', 'qy', 'qz', 'qw'];
+const LAYOUT_FIELD_PATTERN = /^[a-z][A-Za-z0-9]{0,31}$/;
+const MAX_LAYOUT_FIELDS = 32;
+
+// Accept "quaternion" as shorthand for { type: "quaternion" }; fill in unit and order defaults
+function normalizeRotationFormat(format, defaultOrder = 'YXZ') {
+  const spec = typeof format === 'string' ? { type: format } : Object.assign({}, format);
+  if (spec.type === 'euler') {
+    spec.unit = spec.unit || 'deg';
+    spec.order = spec.order || defaultOrder;
+  } else if (spec.type === 'axis-angle') {
+    spec.unit = spec.unit || 'deg';
+  }
+  return spec;
+}
+
+function validateRotationFormat(format, where, problems) {
+  if (typeof format !== 'string' && (!format || typeof format !== 'object' || Array.isArray(format))) {
+    problems.push(`${where} must be a rotation type name or an object like { "type": "euler", "unit": "deg", "order": "YXZ" }`);
+    return;
+  }
+  const spec = normalizeRotationFormat(format);
+  Object.keys(spec).forEach(key => {
+    if (!['type', 'unit', 'order'].includes(key)) problems.push(`${where}: unknown key '${key}'`);
+  });
+  if (!ROTATION_TYPES.includes(spec.type)) {
+    problems.push(`${where}.type must be one of ${ROTATION_TYPES.join(', ')}, got ${JSON.stringify(spec.type)}`);
+    return;
+  }
+  if (spec.unit !== undefined && (!['deg', 'rad'].includes(spec.unit) || !['euler', 'axis-angle'].includes(spec.type))) {
+    problems.push(`${where}.unit must be "deg" or "rad" and only applies to euler and axis-angle`);
+  }
+  if (spec.order !== undefined && (!EULER_ORDERS.includes(spec.order) || spec.type !== 'euler')) {
+    problems.push(`${where}.order must be one of ${EULER_ORDERS.join(', ')} and only applies to euler`);
+  }
+}
+
+// Short label for logs, e.g. "euler deg YXZ"
+function formatName(format) {
+  return [format.type, format.unit, format.order].filter(Boolean).join(' ');
+}
+
+function isValidLayout(layout) {
+  return Array.isArray(layout) &&
+    layout.length <= MAX_LAYOUT_FIELDS &&
+    layout.every(field => typeof field === 'string' && LAYOUT_FIELD_PATTERN.test(field)) &&
+    new Set(layout).size === layout.length;
+}
+
+// Rotation matrix (row-major m11..m33) of a quaternion, normalizing it first
+function quaternionToMatrix(qx, qy, qz, qw) {
+  const len = Math.hypot(qx, qy, qz, qw) || 1;
+  const x = qx / len, y = qy / len, z = qz / len, w = qw / len;
+
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+    2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+    2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+  ];
+}
+
+// Unit quaternion [x, y, z, w] of a rotation matrix (row-major), as in three.js
+function matrixToQuaternion(m) {
+  const [m11, m12, m13, m21, m22, m23, m31, m32, m33] = m;
+  const trace = m11 + m22 + m33;
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1.0);
+    return [(m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s];
+  }
+  if (m11 > m22 && m11 > m33) {
+    const s = 2.0 * Math.sqrt(1.0 + m11 - m22 - m33);
+    return [0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s];
+  }
+  if (m22 > m33) {
+    const s = 2.0 * Math.sqrt(1.0 + m22 - m11 - m33);
+    return [(m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s];
+  }
+  const s = 2.0 * Math.sqrt(1.0 + m33 - m11 - m22);
+  return [(m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s];
+}
+
+// Euler angles (radians) about X, Y and Z for any of the six orders, matching three.js conventions
+function matrixToEuler(m, order) {
+  const [m11, m12, m13, m21, m22, m23, m31, m32, m33] = m;
+  const clamp = (v) => Math.min(1, Math.max(-1, v));
+  const GIMBAL = 0.9999999;
+  let x = 0, y = 0, z = 0;
+
+  switch (order) {
+    case 'XYZ':
+      y = Math.asin(clamp(m13));
+      if (Math.abs(m13) < GIMBAL) { x = Math.atan2(-m23, m33); z = Math.atan2(-m12, m11); } else { x = Math.atan2(m32, m22); }
+      break;
+    case 'YXZ':
+      x = Math.asin(-clamp(m23));
+      if (Math.abs(m23) < GIMBAL) { y = Math.atan2(m13, m33); z = Math.atan2(m21, m22); } else { y = Math.atan2(-m31, m11); }
+      break;
+    case 'ZXY':
+      x = Math.asin(clamp(m32));
+      if (Math.abs(m32) < GIMBAL) { y = Math.atan2(-m31, m33); z = Math.atan2(-m12, m22); } else { z = Math.atan2(m21, m11); }
+      break;
+    case 'ZYX':
+      y = Math.asin(-clamp(m31));
+      if (Math.abs(m31) < GIMBAL) { x = Math.atan2(m32, m33); z = Math.atan2(m21, m11); } else { z = Math.atan2(-m12, m22); }
+      break;
+    case 'YZX':
+      z = Math.asin(clamp(m21));
+      if (Math.abs(m21) < GIMBAL) { x = Math.atan2(-m23, m22); y = Math.atan2(-m31, m11); } else { y = Math.atan2(m13, m33); }
+      break;
+    case 'XZY':
+      z = Math.asin(-clamp(m12));
+      if (Math.abs(m12) < GIMBAL) { x = Math.atan2(m32, m22); y = Math.atan2(m13, m11); } else { x = Math.atan2(-m23, m33); }
+      break;
+  }
+
+  return { X: x, Y: y, Z: z };
+}
+
+// Rotation axis (unit vector) and angle (radians) of a quaternion, taking the shorter way round
+function quaternionToAxisAngle(qx, qy, qz, qw) {
+  const len = Math.hypot(qx, qy, qz, qw) || 1;
+  const sign = qw < 0 ? -1 : 1;
+  const x = sign * qx / len, y = sign * qy / len, z = sign * qz / len, w = sign * qw / len;
+  const angle = 2 * Math.acos(Math.min(1, w));
+  const s = Math.sqrt(Math.max(0, 1 - w * w));
+
+  if (s < 1e-6) return { axis: [1, 0, 0], angle: 0 };
+  return { axis: [x / s, y / s, z / s], angle };
+}
+
+// Rotation values for one format, from a rotation matrix already in the destination's coordinates;
+// position is only used by matrix4
+function encodeRotation(m, position, format, coords) {
+  const toUnit = (radians) => (format.unit === 'deg' ? radians * 180 / Math.PI : radians);
+
+  switch (format.type) {
+    case 'quaternion':
+      return matrixToQuaternion(m);
+    case 'euler': {
+      const euler = matrixToEuler(m, format.order);
+      return format.order.split('').map(axis => toUnit(euler[axis] * coords.eulerSigns[axis]));
+    }
+    case 'axis-angle': {
+      const { axis, angle } = quaternionToAxisAngle(...matrixToQuaternion(m));
+      return axis.concat(toUnit(angle));
+    }
+    case 'matrix3':
+      return m;
+    case 'matrix4': {
+      return [
+        m[0], m[1], m[2], position[0],
+        m[3], m[4], m[5], position[1],
+        m[6], m[7], m[8], position[2],
+        0, 0, 0, 1
+      ];
+    }
+  }
+  return matrixToQuaternion(m);
+}
+
+// Output field names for a rotation format, e.g. ['ry', 'rx', 'rz'] for Euler YXZ (yaw, pitch, roll)
+function rotationFieldNames(format) {
+  switch (format.type) {
+    case 'euler':
+      return format.order.split('').map(axis => `r${axis.toLowerCase()}`);
+    case 'axis-angle':
+      return ['ax', 'ay', 'az', 'angle'];
+    case 'matrix3':
+      return ['m11', 'm12', 'm13', 'm21', 'm22', 'm23', 'm31', 'm32', 'm33'];
+    case 'matrix4':
+      return ['m11', 'm12', 'm13', 'm14', 'm21', 'm22', 'm23', 'm24', 'm31', 'm32', 'm33', 'm34', 'm41', 'm42', 'm43', 'm44'];
+    default:
+      return QUATERNION_FIELDS.slice();
+  }
+}
+
+// Copy of args with every complete vector group in the layout passed through linear() or angular()
+function mapVectorFields(args, layout, linear, angular) {
+  const out = args.slice();
+  const apply = (groups, transform) => groups.forEach(fields => {
+    const indices = fields.map(field => layout.indexOf(field));
+    if (indices.some(idx => idx < 0)) return;
+    transform(indices.map(idx => args[idx])).forEach((v, i) => { out[indices[i]] = v; });
+  });
+
+  apply(LINEAR_VECTOR_FIELDS, linear);
+  apply(ANGULAR_VECTOR_FIELDS, angular);
+  return out;
+}
+
+// Walk a layout and emit [field, value] pairs in the destination's format and coordinate system.
+// The rotation block replaces qx..qw where qx sits; matrix4 also absorbs x, y, z.
+function encodeFields(args, layout, format, coords) {
+  const value = (name) => args[layout.indexOf(name)];
+  const hasRotation = QUATERNION_FIELDS.every(field => layout.includes(field));
+  const hasPosition = POSITION_FIELDS.every(field => layout.includes(field));
+  const absorbsPosition = hasRotation && format.type === 'matrix4';
+  const position = hasPosition
+    ? transformVector(coords, POSITION_FIELDS.map(value)).map(v => v * coords.scale)
+    : [0, 0, 0];
+  // Angular velocity is a pseudo-vector, so it also flips sign when the handedness changes
+  const vectorArgs = mapVectorFields(args, layout,
+    (v) => transformVector(coords, v).map(c => c * coords.scale),
+    (w) => transformVector(coords, w).map(c => c * coords.handedness));
+  const fields = [];
+
+  layout.forEach((field, idx) => {
+    if (hasRotation && QUATERNION_FIELDS.includes(field)) {
+      if (field !== 'qx') return;
+      const rotation = transformRotation(coords, quaternionToMatrix(...QUATERNION_FIELDS.map(value)));
+      const names = rotationFieldNames(format);
+      encodeRotation(rotation, position, format, coords).forEach((v, i) => fields.push([names[i], v]));
+      return;
+    }
+    if (hasPosition && POSITION_FIELDS.includes(field)) {
+      if (!absorbsPosition) fields.push([field, position[POSITION_FIELDS.indexOf(field)]]);
+      return;
+    }
+    if (LENGTH_FIELDS.includes(field)) {
+      fields.push([field, args[idx] * coords.scale]);
+      return;
+    }
+    fields.push([field, vectorArgs[idx]]);
+  });
+
+  return fields;
+}
+
+function encodeArgs(args, layout, format, coords) {
+  return encodeFields(args, layout, format, coords).map(([, value]) => value);
+}
+
+// The layout a destination receives for a stream, e.g. "x y z ry rx rz button"
+function describeOutputLayout(layout, format, coords) {
+  return encodeFields(layout.map(() => 0), layout, format, coords).map(([field]) => field);
+}
+
+// One value of a stream sample by field name: any field of its layout, or yaw/pitch/roll of a pose in degrees
+// (Euler YXZ). cache holds the angles between calls for the same sample. Undefined when the sample lacks it.
+function readStreamField(args, layout, field, cache) {
+  if (layout.includes(field)) return args[layout.indexOf(field)];
+  if (!ROTATION_ANGLE_FIELDS.includes(field) || !QUATERNION_FIELDS.every(name => layout.includes(name))) return undefined;
+  if (!cache.rotation) {
+    const euler = matrixToEuler(quaternionToMatrix(...QUATERNION_FIELDS.map(name => args[layout.indexOf(name)])), 'YXZ');
+    cache.rotation = { yaw: euler.Y * 180 / Math.PI, pitch: euler.X * 180 / Math.PI, roll: euler.Z * 180 / Math.PI };
+  }
+  return cache.rotation[field];
+}
+
+// --- Coordinate systems ---
+// WebXR is right-handed, Y up, -Z forward, in meters. Each preset maps that onto a target engine:
+// axes is the matrix taking a WebXR vector to the target's axes, handedness its determinant, scale the
+// unit per meter, eulerOrder the engine's usual rotation order and eulerSigns the sign of each angle where
+// the engine measures it the other way round. Rotations are carried over as axes * R * axes^T.
+const COORDINATE_PRESETS = {
+  webxr: {
+    description: 'right-handed, Y up, -Z forward, meters',
+    axes: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    handedness: 1,
+    scale: 1,
+    eulerOrder: 'YXZ', // yaw, pitch, roll
+    eulerSigns: { X: 1, Y: 1, Z: 1 }
+  },
+  unity: {
+    description: 'left-handed, Y up, +Z forward, meters',
+    axes: [1, 0, 0, 0, 1, 0, 0, 0, -1],
+    handedness: -1,
+    scale: 1,
+    eulerOrder: 'YXZ', // Unity applies Z, then X, then Y
+    eulerSigns: { X: 1, Y: 1, Z: 1 }
+  },
+  unreal: {
+    description: 'left-handed, Z up, +X forward, +Y right, centimeters',
+    axes: [0, 0, -1, 1, 0, 0, 0, 1, 0],
+    handedness: -1,
+    scale: 100,
+    eulerOrder: 'ZYX', // yaw, pitch, roll as in FRotator
+    eulerSigns: { X: -1, Y: -1, Z: 1 } // FRotator pitch is nose-up and roll is clockwise
+  },
+  blender: {
+    description: 'right-handed, Z up, -Y forward, meters',
+    axes: [1, 0, 0, 0, 0, -1, 0, 1, 0],
+    handedness: 1,
+    scale: 1,
+    eulerOrder: 'ZYX', // Blender's default XYZ Euler mode applies X, then Y, then Z
+    eulerSigns: { X: 1, Y: 1, Z: 1 }
+  },
+  touchdesigner: {
+    description: 'right-handed, Y up, -Z forward, meters',
+    axes: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    handedness: 1,
+    scale: 1,
+    eulerOrder: 'ZYX', // Transform SOP/COMP default rotate order Rx Ry Rz
+    eulerSigns: { X: 1, Y: 1, Z: 1 }
+  }
+};
+
+function validateCoordinateSystem(name, where, problems) {
+  if (!Object.prototype.hasOwnProperty.call(COORDINATE_PRESETS, name)) {
+    problems.push(`${where} must be one of ${Object.keys(COORDINATE_PRESETS).join(', ')}, got ${JSON.stringify(name)}`);
+  }
+}
+
+// 3x3 row-major matrix product a * b
+function multiplyMatrices(a, b) {
+  const out = [];
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      out.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+    }
+  }
+  return out;
+}
+
+function transposeMatrix(m) {
+  return [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+}
+
+// A WebXR direction or position in the preset's axes (unscaled)
+function transformVector(coords, v) {
+  const m = coords.axes;
+  return [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+  ];
+}
+
+// A WebXR rotation matrix expressed in the preset's axes
+function transformRotation(coords, rotation) {
+  return multiplyMatrices(multiplyMatrices(coords.axes, rotation), transposeMatrix(coords.axes));
+}
+
+// --- Startup configuration ---
+let cliOptions;
+let envOverrides;
+let configFilePath;
+let configFileRequired;
+let config;
+try {
+  cliOptions = parseCommandLine(process.argv.slice(2));
+  if (cliOptions.help) {
+    printUsage();
+    process.exit(0);
+  }
+  envOverrides = readEnvironment(process.env);
+  configFileRequired = Boolean(cliOptions.configFile || process.env.WEBXR_OSC_CONFIG);
+  configFilePath = configFileRequired
+    ? path.resolve(cliOptions.configFile || process.env.WEBXR_OSC_CONFIG)
+    : path.join(__dirname, DEFAULT_CONFIG_FILE);
+  config = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// OSC destinations - one UDP port per unique host:port in the routing table, each with its own state
+// key -> { key, host, port, udpPort, connected, messageCount, errorCount, lastError }
+let oscDestinations = {};
+// Compiled routing table:
+// [{ match, regex, destinations: [{ key, host, port, rewrite, format, coordinateSystem, coords, formatKey }] }]
+let routingTable = [];
+// Resolved targets per address, so the routing table is scanned once per address
+let routeCache = new Map();
+let unroutedAddresses = new Set();
+let announcedLayouts = new Map(); // address -> layout last logged for it
+let pendingBundle = null; // { packets: { key -> [oscMessage] } } while sendBundled collects a frame
+// Frame bundles are split to stay below a typical 1500-byte Wi-Fi/Ethernet MTU, so they are never IP-fragmented
+const MAX_BUNDLE_BYTES = 1400;
+const BUNDLE_HEADER_BYTES = 16; // '#bundle' and the timetag; each element adds a 4-byte size
+let oscMessageCount = 0;
+let oscErrorCount = 0;
+let lastOSCError = null;
+
+// Last message sent on each address (with its user namespace), for the dashboard and OSCQuery:
+// address -> { args, layout, updatedAt }. Streams that stop for SENT_MESSAGE_STALE_MS are forgotten; events stay.
+const SENT_MESSAGE_STALE_MS = 5000;
+const sentMessages = new Map();
+
+// Performance tracking
+let messageStats = {
+  hmd: { count: 0, lastTime: 0, rate: 0 },
+  controller0: { count: 0, lastTime: 0, rate: 0 },
+  controller1: { count: 0, lastTime: 0, rate: 0 },
+  hand: { count: 0, lastTime: 0, rate: 0 }
+};
+
+// Enhanced logging function
+function debugLog(message, data = null, level = 'INFO') {
+  if (config.debugMode) {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [${level}] ${message}`;
+    
+    if (data) {
+      console.log(logMessage, data);
+    } else {
+      console.log(logMessage);
+    }
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile an OSC address pattern into a RegExp
+//   *  any characters within one segment      ?  any single character
+//   [abc] [a-z] [!abc]  character sets         {foo,bar}  alternatives
+//   //  any number of segments (OSC 1.1 path traversal), e.g. /hand//tip or /hmd//*
+function compileAddressPattern(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '/' && pattern[i + 1] === '/') {
+      source += '(?:/[^/]+)*/';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) throw new Error(`unclosed '[' in pattern ${pattern}`);
+      let set = pattern.slice(i + 1, end);
+      const negate = set.startsWith('!');
+      if (negate) set = set.slice(1);
+      source += `[${negate ? '^/' : ''}${set.replace(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else if (ch === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) throw new Error(`unclosed '{' in pattern ${pattern}`);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Build the outgoing address for a destination: {address} is the original address, {1}..{n} its segments
+// e.g. rewrite "/unreal/{1}" turns /controller0/pose into /unreal/controller0
+function rewriteAddress(template, address) {
+  if (!template) return address;
+  const segments = address.split('/').slice(1);
+  return template.replace(/\{(address|\d+)\}/g, (token, name) =>
+    name === 'address' ? address : (segments[Number(name) - 1] || ''));
+}
+
+// Compile config.routes; destinations without a host use oscTargetIp, and without a format or
+// coordinates inherit the rule's, then rotationFormat and coordinateSystem
+function compileRoutingTable(cfg) {
+  return cfg.routes.map(route => ({
+    match: route.match,
+    regex: compileAddressPattern(route.match),
+    destinations: route.destinations.map(dest => {
+      const host = dest.host || cfg.oscTargetIp;
+      const coordinateSystem = dest.coordinates || route.coordinates || cfg.coordinateSystem;
+      const coords = COORDINATE_PRESETS[coordinateSystem];
+      const format = normalizeRotationFormat(dest.format || route.format || cfg.rotationFormat, coords.eulerOrder);
+      return {
+        key: `${host}:${dest.port}`,
+        host,
+        port: dest.port,
+        rewrite: dest.rewrite || null,
+        format,
+        coordinateSystem,
+        coords,
+        formatKey: `${coordinateSystem} ${formatName(format)}`
+      };
+    })
+  }));
+}
+
+// Unique destinations referenced by the routing table and the mapping rules, plus their copies shifted by each
+// user port offset
+function getRoutedDestinations() {
+  const destinations = {};
+  const offsets = new Set([0].concat(Object.values(config.userPortOffsets)));
+  routingTable.concat(mappingRules).forEach(route => {
+    route.destinations.forEach(dest => {
+      offsets.forEach(offset => {
+        const port = dest.port + offset;
+        const key = `${dest.host}:${port}`;
+        destinations[key] = { key, host: dest.host, port };
+      });
+    });
+  });
+  return Object.values(destinations);
+}
+
+// Every (destination, outgoing address) an OSC address is sent to; all matching rules apply
+function resolveRoutes(address) {
+  if (routeCache.has(address)) return routeCache.get(address);
+
+  const targets = [];
+  const seen = new Set();
+  routingTable.forEach(route => {
+    if (!route.regex.test(address)) return;
+    route.destinations.forEach(dest => {
+      const outAddress = rewriteAddress(dest.rewrite, address);
+      const targetId = `${dest.key} ${outAddress}`;
+      if (seen.has(targetId)) return;
+      seen.add(targetId);
+      targets.push({
+        key: dest.key,
+        host: dest.host,
+        port: dest.port,
+        address: outAddress,
+        format: dest.format,
+        coords: dest.coords,
+        formatKey: dest.formatKey
+      });
+    });
+  });
+
+  routeCache.set(address, targets);
+  return targets;
+}
+
+// Install a new routing table; connections are handled separately by initOSCConnection/reconnectOSC
+function applyRoutingTable() {
+  routingTable = compileRoutingTable(config);
+  routeCache.clear();
+  unroutedAddresses.clear();
+  announcedLayouts.clear();
+}
+
+function describeDestination(dest) {
+  const details = [dest.coordinateSystem, formatName(dest.format)];
+  if (dest.rewrite) details.unshift(`as ${dest.rewrite}`);
+  return `${dest.key} (${details.join(', ')})`;
+}
+
+// Initialize persistent OSC connections for every destination in the routing table
+function initOSCConnection() {
+  debugLog('Initializing OSC connections for all routing destinations');
+  
+  getRoutedDestinations().forEach(({ key, host, port }) => {
+    if (oscDestinations[key] && oscDestinations[key].udpPort) {
+      debugLog(`OSC connection for ${key} already exists, skipping initialization`);
+      return;
+    }
+
+    debugLog(`Initializing OSC connection to ${key}`);
+
+    // Counters survive reconnects so the stats show the destination's whole history
+    const destination = oscDestinations[key] || {
+      key, host, port,
+      udpPort: null,
+      connected: false,
+      messageCount: 0,
+      errorCount: 0,
+      lastError: null
+    };
+    oscDestinations[key] = destination;
+    
+    const udpPort = new osc.UDPPort({
+      localAddress: '0.0.0.0',
+      localPort: 0, // Let system assign port
+      remoteAddress: host,
+      remotePort: port,
+      metadata: true
+    });
+    destination.udpPort = udpPort;
+
+    udpPort.on('ready', () => {
+      destination.connected = true;
+      debugLog(`OSC UDP port opened successfully for ${key}`, { 
+        localPort: udpPort.options.localPort,
+        remoteAddress: key
+      });
+    });
+
+    udpPort.on('error', (err) => {
+      destination.connected = false;
+      destination.errorCount++;
+      destination.lastError = err.message;
+      oscErrorCount++;
+      lastOSCError = err.message;
+      debugLog(`OSC UDP port error for ${key} (${destination.errorCount} errors)`, err.message, 'ERROR');
+      
+      // Attempt to reconnect after a delay
+      setTimeout(() => {
+        debugLog(`Attempting to reconnect OSC for ${key}...`);
+        reconnectOSC(key);
+      }, 5000);
+    });
+
+    udpPort.on('close', () => {
+      destination.connected = false;
+      debugLog(`OSC UDP port closed for ${key}`);
+    });
+
+    try {
+      udpPort.open();
+    } catch (err) {
+      debugLog(`Failed to open OSC UDP port for ${key}`, err.message, 'ERROR');
+      destination.connected = false;
+    }
+  });
+}
+
+// Reconnect OSC with cleanup - supports one destination key, a list of them, or all (null)
+function reconnectOSC(destinationKey = null) {
+  const destinationsToReconnect = destinationKey ? [].concat(destinationKey) : Object.keys(oscDestinations);
+  const routedKeys = getRoutedDestinations().map(dest => dest.key);
+  
+  destinationsToReconnect.forEach(key => {
+    const destination = oscDestinations[key];
+    if (!destination) return;
+
+    if (destination.udpPort) {
+      try {
+        destination.udpPort.close();
+      } catch (err) {
+        debugLog(`Error closing existing OSC port for ${key} during reconnect`, err.message, 'WARN');
+      }
+      destination.udpPort = null;
+    }
+    
+    destination.connected = false;
+
+    // Destinations dropped from the routing table are forgotten instead of reopened
+    if (!routedKeys.includes(key)) {
+      delete oscDestinations[key];
+    }
+  });
+  
+  setTimeout(initOSCConnection, 1000);
+}
+
+// Destinations that were added to or removed from the routing table and the mapping rules
+function getChangedOSCDestinations() {
+  const routedKeys = getRoutedDestinations().map(dest => dest.key);
+  const openKeys = Object.keys(oscDestinations);
+
+  return {
+    added: routedKeys.filter(key => !openKeys.includes(key)),
+    removed: openKeys.filter(key => !routedKeys.includes(key))
+  };
+}
+
+// Re-read the config and apply what can change at runtime, without touching the HTTPS server
+// or the connected headsets. Only UDP ports for destinations that were added or removed are touched.
+function reloadConfig() {
+  let newConfig;
+  try {
+    newConfig = loadConfig();
+  } catch (err) {
+    debugLog('Config reload rejected, keeping current settings', err.message, 'ERROR');
+    return;
+  }
+
+  const restartKeys = RESTART_REQUIRED_KEYS.filter(key => newConfig[key] !== config[key]);
+  if (restartKeys.length > 0) {
+    debugLog(`Config changes to ${restartKeys.join(', ')} take effect after a restart`, null, 'WARN');
+    restartKeys.forEach(key => { newConfig[key] = config[key]; });
+  }
+
+  const inputChanged = newConfig.oscInputIp !== config.oscInputIp || newConfig.oscInputPort !== config.oscInputPort;
+  const queryChanged = newConfig.oscQueryIp !== config.oscQueryIp || newConfig.oscQueryPort !== config.oscQueryPort;
+  const calibrationChanged = newConfig.calibrationFile !== config.calibrationFile;
+  const transmissionChanged = JSON.stringify(newConfig.transmission) !== JSON.stringify(config.transmission);
+  config = newConfig;
+  applyRoutingTable();
+
+  applyFilterConfig();
+  applyMotionConfig();
+  applyTransmissionConfig();
+  applyZoneConfig();
+  applyPlaneConfig();
+  applyPSNConfig();
+  applyFreeDConfig();
+  applyDMXConfig();
+  applySecurityConfig();
+  if (transmissionChanged) {
+    // Headsets apply the same settings, so they get a fresh welcome
+    wss.clients.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN && ws.clientInfo && ws.clientInfo.user) sendWelcome(ws);
+    });
+  }
+
+  if (calibrationChanged) {
+    debugLog('Calibration file changed, loading it');
+    loadCalibrations();
+    broadcastStage();
+  }
+
+  if (inputChanged) {
+    debugLog('OSC input port changed, reopening listener');
+    closeOSCInput();
+    initOSCInput();
+  }
+  if (queryChanged || (inputChanged && oscQuery)) {
+    // HOST_INFO carries the input port, so OSCQuery restarts with it
+    closeOSCQuery();
+    initOSCQuery();
+  }
+
+  // Rule destinations default to oscTargetIp, and the file itself may have moved
+  watchRulesFile();
+  loadRules();
+
+  syncOSCDestinations();
+  debugLog('Config reloaded', { file: configFilePath });
+}
+
+// Open UDP ports for destinations that were added and close the ones nothing refers to any more
+function syncOSCDestinations() {
+  const { added, removed } = getChangedOSCDestinations();
+  if (removed.length > 0) {
+    debugLog('OSC destinations removed, closing UDP ports', { destinations: removed });
+    reconnectOSC(removed);
+  } else if (added.length > 0) {
+    initOSCConnection();
+  }
+  if (added.length > 0) {
+    debugLog('OSC destinations added', { destinations: added });
+  }
+}
+
+// Watch the config file (polling survives editors that replace the file on save)
+function watchConfigFile() {
+  fs.watchFile(configFilePath, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    debugLog(`Config file changed: ${configFilePath}`);
+    reloadConfig();
+  });
+}
+
+// Enhanced OSC message sending, fanned out to every destination whose routing rule matches
+// options.user: routing still matches the plain address; the user's namespace and port offset apply on the way out
+// options.layout: the args' field names; poses are converted to each destination's format and coordinates
+function sendOSC(address, args, options = {}) {
+  const { user = null, layout = null } = options;
+  const targets = resolveRoutes(address);
+
+  if (targets.length === 0) {
+    // Warn once per address so an unrouted stream doesn't flood the log
+    if (!unroutedAddresses.has(address)) {
+      unroutedAddresses.add(address);
+      debugLog(`No routing rule matches ${address}, message dropped`, null, 'WARN');
+    }
+    return false;
+  }
+
+  if (layout) announceLayout(address, layout, targets);
+
+  const portOffset = user ? (config.userPortOffsets[user] || 0) : 0;
+  const prefix = user && config.userNamespaces ? `/user/${user}` : '';
+  recordSentMessage(prefix + address, args, layout);
+
+  // Encode once per output format, however many destinations share it
+  const encodedArgs = {};
+
+  let sentCount = 0;
+  targets.forEach(target => {
+    const formatKey = layout ? target.formatKey : '';
+    if (!encodedArgs[formatKey]) {
+      encodedArgs[formatKey] = toOSCArgs(layout ? encodeArgs(args, layout, target.format, target.coords) : args);
+    }
+
+    const key = portOffset ? `${target.host}:${target.port + portOffset}` : target.key;
+    if (sendToDestination(key, { address: prefix + target.address, args: encodedArgs[formatKey] })) sentCount++;
+  });
+
+  if (sentCount > 0) {
+    // Update performance stats
+    updateMessageStats(address);
+  }
+  
+  return sentCount > 0;
+}
+
+// Log what each destination receives the first time a stream (or a new layout for it) shows up
+function announceLayout(address, layout, targets) {
+  const layoutKey = layout.join(' ');
+  if (announcedLayouts.get(address) === layoutKey) return;
+  announcedLayouts.set(address, layoutKey);
+
+  debugLog(`Stream ${address} layout: ${layoutKey}`,
+    targets.map(target => `${target.key} ${target.address}: ${describeOutputLayout(layout, target.format, target.coords).join(' ')}`));
+}
+
+// Numbers go out as floats; strings (user names in /users events, devices in zone events) always as OSC strings,
+// so a user called "42" is not sent as a number
+function toOSCArgs(args) {
+  return args.map(v => (typeof v === 'string')
+    ? { type: 's', value: v }
+    : { type: 'f', value: isNaN(parseFloat(v)) ? 0.0 : parseFloat(v) });
+}
+
+// Remember the last message on each address; OSCQuery announces new ones and passes them to its listeners
+function recordSentMessage(address, args, layout) {
+  const isNew = !sentMessages.has(address);
+  const entry = { args, layout, updatedAt: Date.now() };
+  sentMessages.set(address, entry);
+  if (oscQuery) updateOSCQuery(address, entry, isNew);
+}
+
+// Forget streams that stopped (a controller put down, hands swapped for controllers). With change-only sending and
+// no keepalive a stream that holds still is silent too, so nothing is forgotten then.
+function sweepSentMessages() {
+  const { changeOnly, keepaliveMs } = config.transmission;
+  if (changeOnly && keepaliveMs === 0) return;
+  const staleBefore = Date.now() - SENT_MESSAGE_STALE_MS - (changeOnly ? keepaliveMs : 0);
+  sentMessages.forEach((entry, address) => {
+    if (!entry.layout || entry.updatedAt >= staleBefore) return;
+    sentMessages.delete(address);
+    if (oscQuery) sendOSCQueryCommand('PATH_REMOVED', address);
+  });
+}
+
+// The default output format (rotationFormat, coordinateSystem), which the dashboard and OSCQuery show values in
+function defaultOutputFormat() {
+  const coords = COORDINATE_PRESETS[config.coordinateSystem];
+  return { coords, format: normalizeRotationFormat(config.rotationFormat, coords.eulerOrder) };
+}
+
+// A sent message's values as OSC args, and its field names, in the default output format
+function encodeSentValues(entry) {
+  const { coords, format } = defaultOutputFormat();
+  return toOSCArgs(entry.layout ? encodeArgs(entry.args, entry.layout, format, coords) : entry.args);
+}
+
+function describeSentFields(entry) {
+  const { coords, format } = defaultOutputFormat();
+  return entry.layout ? describeOutputLayout(entry.layout, format, coords) : [];
+}
+
+// Send one OSC message to one destination. While sendBundled runs, messages wait per destination
+// for the frame's bundle instead of going out one by one.
+function sendToDestination(key, oscMessage) {
+  if (pendingBundle) {
+    (pendingBundle.packets[key] = pendingBundle.packets[key] || []).push(oscMessage);
+    return true;
+  }
+  return sendPacket(key, oscMessage);
+}
+
+// Run send(), then send everything it routed as OSC bundles per destination, time-tagged timeMs.
+// A frame that doesn't fit in MAX_BUNDLE_BYTES goes out as several bundles with the same timetag.
+function sendBundled(timeMs, send) {
+  pendingBundle = { packets: {} };
+  let bundle;
+  try {
+    send();
+  } finally {
+    bundle = pendingBundle;
+    pendingBundle = null;
+  }
+
+  Object.keys(bundle.packets).forEach(key => {
+    splitBundle(bundle.packets[key]).forEach(packets => {
+      sendPacket(key, { timeTag: { native: timeMs }, packets });
+    });
+  });
+}
+
+// Group messages into runs that each fit in one MAX_BUNDLE_BYTES bundle; a single larger message gets its own
+function splitBundle(messages) {
+  const groups = [];
+  let group = [];
+  let size = BUNDLE_HEADER_BYTES;
+  messages.forEach(message => {
+    const bytes = 4 + osc.writePacket(message, { metadata: true }).length;
+    if (group.length > 0 && size + bytes > MAX_BUNDLE_BYTES) {
+      groups.push(group);
+      group = [];
+      size = BUNDLE_HEADER_BYTES;
+    }
+    group.push(message);
+    size += bytes;
+  });
+  if (group.length > 0) groups.push(group);
+  return groups;
+}
+
+// Send one OSC message or bundle to one destination, tracking that destination's counters
+function sendPacket(key, packet) {
+  const destination = oscDestinations[key];
+  const messageCount = packet.packets ? packet.packets.length : 1;
+  const label = packet.packets ? `bundle of ${messageCount} messages` : packet.address;
+  
+  if (!destination || !destination.connected || !destination.udpPort) {
+    if (!destination || destination.errorCount < 5) { // Limit error spam
+      debugLog(`OSC not connected for ${key}, unable to send ${label}`, { 
+        connected: destination ? destination.connected : false 
+      }, 'WARN');
+    }
+    return false;
+  }
+
+  try {
+    destination.udpPort.send(packet);
+    destination.messageCount += messageCount;
+    oscMessageCount += messageCount;
+    
+    // Periodic logging based on sample rate
+    if (config.logOscMessages || Math.random() < config.logSampleRate) {
+      const first = packet.packets ? packet.packets[0] : packet;
+      debugLog(`OSC sent to ${key}: ${label}`, {
+        address: first.address,
+        args: first.args.slice(0, 3).map(arg => arg.value), // Only log first 3 args to avoid spam
+        totalMessages: oscMessageCount
+      });
+    }
+    
+    return true;
+  } catch (err) {
+    destination.errorCount++;
+    destination.lastError = err.message;
+    oscErrorCount++;
+    lastOSCError = err.message;
+    debugLog(`Error sending OSC ${label} to ${key}`, { 
+      error: err.message, 
+      destinationErrors: destination.errorCount 
+    }, 'ERROR');
+    
+    // Try to reconnect if we have too many errors
+    if (destination.errorCount > 10) {
+      debugLog(`Too many OSC errors for ${key}, attempting reconnection`);
+      reconnectOSC(key);
+    }
+    
+    return false;
+  }
+}
+
+// Track message statistics for performance monitoring
+function updateMessageStats(address) {
+  const now = Date.now();
+  let deviceKey = 'hmd';
+  
+  if (address.startsWith('/hand')) deviceKey = 'hand';
+  else if (address.includes('controller0')) deviceKey = 'controller0';
+  else if (address.includes('controller1')) deviceKey = 'controller1';
+  
+  if (messageStats[deviceKey]) {
+    messageStats[deviceKey].count++;
+    messageStats[deviceKey].lastTime = now;
+  }
+}
+
+// Print periodic statistics
+function printOSCStats() {
+  if (!config.debugMode) return;
+  
+  const uptime = process.uptime();
+  const destinations = Object.values(oscDestinations);
+  const connectionStatus = destinations.map(dest => 
+    `${dest.key}=${dest.connected ? 'OK' : 'FAIL'}`
+  ).join(', ');
+  
+  debugLog('OSC Performance Stats', {
+    uptime: `${Math.floor(uptime)}s`,
+    connections: connectionStatus,
+    totalMessages: oscMessageCount,
+    totalErrors: oscErrorCount,
+    lastError: lastOSCError,
+    messagesPerSecond: Math.round(oscMessageCount / uptime),
+    deviceStats: messageStats,
+    destinationStats: destinations.map(dest => ({
+      destination: dest.key,
+      connected: dest.connected,
+      messages: dest.messageCount,
+      errors: dest.errorCount,
+      lastError: dest.lastError
+    })),
+    routing: routingTable.map(route => `${route.match} → ${route.destinations.map(describeDestination).join(', ')}`)
+  });
+}
+
+// Enhanced OSC message handling with validation
+function handleOSCMessage(msg, client = null, timeMs = nowMs()) {
+  const { address, args } = msg;
+
+  // Validate message structure
+  if (!address || typeof address !== 'string') {
+    debugLog('Invalid OSC address received', { address }, 'WARN');
+    return;
+  }
+
+  if (!Array.isArray(args)) {
+    debugLog('Invalid OSC args received', { args }, 'WARN');
+    return;
+  }
+
+  if (client) {
+    const problem = checkClientAddress(address, args.length);
+    if (problem) {
+      auditLog('address-rejected', client, { address: address.slice(0, 128), args: args.length, reason: problem });
+      return;
+    }
+  }
+
+  // Validate numeric args; headset data is numbers only, so numeric strings are converted here
+  const validArgs = args.filter(arg => {
+    const num = parseFloat(arg);
+    return !isNaN(num) && isFinite(num);
+  }).map(arg => parseFloat(arg));
+
+  // Optional layout: one field name per arg. A layout only describes intact args, so drop the message
+  // rather than filter it.
+  let layout = null;
+  if (msg.layout !== undefined) {
+    if (!isValidLayout(msg.layout) || msg.layout.length !== args.length || validArgs.length !== args.length) {
+      debugLog('OSC message args do not match its layout', { address, layout: msg.layout, argsLength: args.length }, 'WARN');
+      return;
+    }
+    layout = msg.layout;
+  }
+
+  if (validArgs.length !== args.length) {
+    debugLog('Some OSC args were invalid and filtered', {
+      original: args.length,
+      valid: validArgs.length,
+      address
+    }, 'WARN');
+  }
+
+  // Enhanced logging for controller button states
+  if (config.logOscMessages && address.startsWith('/controller')) {
+    const controllerNum = address.includes('controller0') ? 0 : 1;
+    const field = (name) => validArgs[layout.indexOf(name)];
+
+    if (address.endsWith('/pose') && layout && layout.includes('button')) {
+      debugLog(`Controller ${controllerNum} button state: ${field('button') ? 'Pressed' : 'Released'}`, {
+        position: POSITION_FIELDS.map(field),
+        orientation: QUATERNION_FIELDS.map(field)
+      });
+    } else if (address.endsWith('/pose') && !layout && validArgs.length >= 7) {
+      // Legacy pose layout: x, y, z, yaw, pitch, roll, button
+      debugLog(`Controller ${controllerNum} button state: ${validArgs[6] ? 'Pressed' : 'Released'}`, {
+        position: validArgs.slice(0, 3),
+        orientation: validArgs.slice(3, 6)
+      });
+    } else {
+      // Gamepad layout: value/x, pressed/y, touched/pressed, (touched)
+      debugLog(`Controller ${controllerNum} input: ${address}`, { args: validArgs });
+    }
+  }
+
+  // Poses move into the user's calibrated stage space before anything else sees them
+  const user = client ? client.user : null;
+  const outArgs = layout ? calibratePose(address, validArgs, layout, user) : validArgs;
+
+  if (activeRecording) {
+    recordMessage(address, outArgs, layout, client);
+  }
+
+  // Send OSC message
+  const success = dispatchMessage(address, outArgs, { user, layout, timeMs });
+  
+  if (!success && config.debugMode) {
+    debugLog('Failed to send OSC message', { address, argsLength: validArgs.length }, 'WARN');
+  }
+}
+
+// The stages after validation, calibration and recording; playback enters the pipeline here
+function dispatchMessage(address, args, options = {}) {
+  const { user = null, layout = null, timeMs = nowMs() } = options;
+  if (!layout) return sendOSC(address, args, { user, layout });
+
+  const filtered = filterPose(address, args, layout, user, timeMs);
+  updateZones(address, filtered, layout, user, timeMs);
+  updatePlanes(address, filtered, layout, user, timeMs);
+  updatePSNTracker(address, filtered, layout, user, timeMs);
+  updateFreeD(address, filtered, layout, user);
+
+  // Browser-reported velocities only feed the motion features; the pose itself goes out without them
+  const derived = deriveMotion(address, filtered, layout, user, timeMs);
+  const keep = layout.map(field => !MOTION_INPUT_FIELDS.includes(field));
+  const success = sendStream(address, filtered.filter((arg, i) => keep[i]), layout.filter((field, i) => keep[i]), user, timeMs);
+
+  derived.forEach(message => {
+    sendStream(message.address, message.args, message.layout, user, timeMs);
+  });
+  return success;
+}
+
+// Send a stream sample through its deadbands and the change-only check; a sample held back counts as sent.
+// Every sample also reaches the DMX mappings and the mapping rules, before the deadbands.
+function sendStream(address, args, layout, user, timeMs) {
+  updateDMX(address, args, layout, user);
+  updateRules(address, args, layout, user, timeMs);
+  const outArgs = applyTransmission(`${user} ${address}`, args, layout, timeMs);
+  return outArgs ? sendOSC(address, outArgs, { user, layout }) : true;
+}
+
+// --- PosiStage.Net output ---
+// PSN v2 (https://www.posistage.net): UDP packets built from chunks, each with a 32-bit little-endian header of
+// id (16 bits), data length (15 bits) and a has-subchunks flag. Data packets carry every live tracker's position
+// (m), speed (m/s) and orientation (rotation axis times angle, radians); info packets name the system and trackers.
+// Trackers are the calibrated, filtered streams matching psn.match, in WebXR axes, which PSN shares (right-handed,
+// Y up). Each user's device keeps its tracker id until the psn settings change.
+const PSN_DATA_PACKET = 0x6755;
+const PSN_INFO_PACKET = 0x6756;
+const PSN_VERSION = [2, 3];           // v2.03
+const PSN_MAX_PACKET_BYTES = 1500;    // Larger frames are split over several packets
+const PSN_TRACKER_TIMEOUT_MS = 1000;  // Trackers without samples for this long are left out
+const PSN_SPEED_MAX_GAP_MS = 500;     // Speed from consecutive positions only across shorter gaps
+
+let psnOutput = null;     // { settings, regex, socket, dataTimer, infoTimer, dataFrame, infoFrame, packetCount, errorCount, startTime }
+let psnTrackers = new Map(); // 'user address' -> { id, name, position, speed, orientation, timeMs, updatedAt }
+
+// (Re)start the PSN output when its settings changed; trackers and their ids start over
+function applyPSNConfig() {
+  const settings = { ...DEFAULT_CONFIG.psn, ...config.psn };
+  if (psnOutput && JSON.stringify(psnOutput.settings) === JSON.stringify(settings)) return;
+
+  closePSN();
+  psnTrackers.clear();
+  if (!settings.enabled) return;
+
+  const socket = dgram.createSocket('udp4');
+  psnOutput = {
+    settings,
+    regex: compileAddressPattern(settings.match),
+    socket,
+    dataTimer: null,
+    infoTimer: null,
+    dataFrame: 0,
+    infoFrame: 0,
+    packetCount: 0,
+    errorCount: 0,
+    startTime: process.hrtime.bigint()
+  };
+  const output = psnOutput;
+
+  socket.on('error', (err) => {
+    output.errorCount++;
+    debugLog('PSN socket error', err.message, 'ERROR');
+  });
+  socket.bind(0, () => {
+    try {
+      socket.setMulticastTTL(MULTICAST_TTL);
+      if (settings.interface) socket.setMulticastInterface(settings.interface);
+    } catch (err) {
+      debugLog('PSN multicast setup failed', err.message, 'WARN');
+    }
+    if (psnOutput !== output) return;
+    output.dataTimer = setInterval(sendPSNData, 1000 / settings.dataRateHz);
+    output.infoTimer = setInterval(sendPSNInfo, 1000 / settings.infoRateHz);
+    debugLog(`PSN output started: ${settings.destinations.map(dest => `${dest.host}:${dest.port}`).join(', ')}`, {
+      match: settings.match, dataRateHz: settings.dataRateHz, infoRateHz: settings.infoRateHz
+    });
+  });
+}
+
+function closePSN() {
+  if (!psnOutput) return;
+  clearInterval(psnOutput.dataTimer);
+  clearInterval(psnOutput.infoTimer);
+  try {
+    psnOutput.socket.close();
+  } catch (err) {
+    debugLog('Error closing PSN socket', err.message, 'WARN');
+  }
+  psnOutput = null;
+  debugLog('PSN output stopped');
+}
+
+function updatePSNTracker(address, args, layout, user, timeMs) {
+  if (!psnOutput || !psnOutput.regex.test(address)) return;
+  const value = (field) => args[layout.indexOf(field)];
+  if (!POSITION_FIELDS.every(field => layout.includes(field))) return;
+
+  const key = `${user} ${address}`;
+  let tracker = psnTrackers.get(key);
+  if (!tracker) {
+    const device = address.replace(/^\//, '').replace(/\/pose$/, '');
+    tracker = { id: psnTrackers.size, name: user ? `${user} ${device}` : device, position: null, speed: [0, 0, 0], orientation: [0, 0, 0], timeMs: null };
+    psnTrackers.set(key, tracker);
+    debugLog(`PSN tracker ${tracker.id}: ${tracker.name}`);
+  }
+
+  const position = POSITION_FIELDS.map(value);
+  if (LINEAR_VECTOR_FIELDS[0].every(field => layout.includes(field))) {
+    tracker.speed = LINEAR_VECTOR_FIELDS[0].map(value);
+  } else if (tracker.position) {
+    const dt = (timeMs - tracker.timeMs) / 1000;
+    if (dt * 1000 > PSN_SPEED_MAX_GAP_MS) tracker.speed = [0, 0, 0];
+    else if (dt > 0) tracker.speed = position.map((v, i) => (v - tracker.position[i]) / dt);
+  }
+  if (QUATERNION_FIELDS.every(field => layout.includes(field))) {
+    const { axis, angle } = quaternionToAxisAngle(...QUATERNION_FIELDS.map(value));
+    tracker.orientation = axis.map(v => v * angle);
+  }
+  tracker.position = position;
+  tracker.timeMs = timeMs;
+  tracker.updatedAt = nowMs();
+}
+
+function livePSNTrackers() {
+  const now = nowMs();
+  return Array.from(psnTrackers.values()).filter(tracker => tracker.position && now - tracker.updatedAt <= PSN_TRACKER_TIMEOUT_MS);
+}
+
+// One chunk: header (id, data length, has-subchunks flag) followed by its data or subchunks
+function psnChunk(id, data, hasSubchunks = false) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16LE(id, 0);
+  header.writeUInt16LE(data.length | (hasSubchunks ? 0x8000 : 0), 2);
+  return Buffer.concat([header, data]);
+}
+
+function psnFloats(values) {
+  const data = Buffer.alloc(values.length * 4);
+  values.forEach((v, i) => data.writeFloatLE(v, i * 4));
+  return data;
+}
+
+// Packet header chunk: timestamp (µs), version, frame id and the number of packets in the frame
+function psnPacketHeader(frameId, packetCount) {
+  const data = Buffer.alloc(12);
+  data.writeBigUInt64LE((process.hrtime.bigint() - psnOutput.startTime) / 1000n, 0);
+  data.writeUInt8(PSN_VERSION[0], 8);
+  data.writeUInt8(PSN_VERSION[1], 9);
+  data.writeUInt8(frameId, 10);
+  data.writeUInt8(packetCount, 11);
+  return psnChunk(0x0000, data);
+}
+
+// Spread tracker chunks over as few packets as fit, after the fixed chunks every packet starts with
+function sendPSNFrame(packetId, frameId, fixedChunks, listId, trackerChunks) {
+  const budget = PSN_MAX_PACKET_BYTES - 4 - 16 - fixedChunks.reduce((sum, chunk) => sum + chunk.length, 0) - 4;
+  const groups = [[]];
+  let used = 0;
+  trackerChunks.forEach(chunk => {
+    if (used + chunk.length > budget && groups[groups.length - 1].length > 0) {
+      groups.push([]);
+      used = 0;
+    }
+    groups[groups.length - 1].push(chunk);
+    used += chunk.length;
+  });
+
+  groups.forEach(group => {
+    const packet = psnChunk(packetId, Buffer.concat([
+      psnPacketHeader(frameId, groups.length),
+      ...fixedChunks,
+      psnChunk(listId, Buffer.concat(group), true)
+    ]), true);
+    psnOutput.settings.destinations.forEach(dest => {
+      psnOutput.socket.send(packet, dest.port, dest.host, (err) => {
+        if (err && psnOutput) {
+          psnOutput.errorCount++;
+          if (psnOutput.errorCount <= 5) debugLog(`PSN send to ${dest.host}:${dest.port} failed`, err.message, 'WARN');
+        }
+      });
+      psnOutput.packetCount++;
+    });
+  });
+}
+
+// Data packet: tracker list of position (0x0000), speed (0x0001) and orientation (0x0002)
+function sendPSNData() {
+  const trackers = livePSNTrackers().map(tracker => psnChunk(tracker.id, Buffer.concat([
+    psnChunk(0x0000, psnFloats(tracker.position)),
+    psnChunk(0x0001, psnFloats(tracker.speed)),
+    psnChunk(0x0002, psnFloats(tracker.orientation))
+  ]), true));
+  sendPSNFrame(PSN_DATA_PACKET, psnOutput.dataFrame, [], 0x0001, trackers);
+  psnOutput.dataFrame = (psnOutput.dataFrame + 1) % 256;
+}
+
+// Info packet: system name (0x0001) and a tracker list (0x0002) of tracker names (0x0000)
+function sendPSNInfo() {
+  const systemName = psnChunk(0x0001, Buffer.from(psnOutput.settings.systemName));
+  const trackers = livePSNTrackers().map(tracker => psnChunk(tracker.id, psnChunk(0x0000, Buffer.from(tracker.name).slice(0, PSN_MAX_NAME_BYTES)), true));
+  sendPSNFrame(PSN_INFO_PACKET, psnOutput.infoFrame, [systemName], 0x0002, trackers);
+  psnOutput.infoFrame = (psnOutput.infoFrame + 1) % 256;
+}
+
+// --- FreeD output ---
+// FreeD D1 packets (29 bytes, big-endian): 0xD1, camera id, then 24-bit signed pan, tilt and roll in 1/32768
+// degree, x, y and z in 1/64 mm, 24-bit zoom and focus, two spare bytes and a checksum. FreeD is Z up: x is the
+// stage's X, y its forward (-Z in WebXR) and z the height. Pan turns right, tilt up and roll clockwise, seen from
+// behind the camera, which looks along -Z of the source pose like the controllers' aim ray.
+const FREED_PACKET_BYTES = 29;
+const FREED_ANGLE_SCALE = 32768; // Units per degree
+const FREED_POSITION_SCALE = 64 * 1000; // Units per meter
+const FREED_INT24_MAX = 0x7fffff;
+const FREED_LENS_DEFAULTS = { in: [0, 1], out: [0, 4095] };
+
+let freedOutput = null; // { settings, zoomInput, focusInput, socket, timer, pose, zoom, focus, packetCount, errorCount }
+
+// (Re)start the FreeD output when its settings changed
+function applyFreeDConfig() {
+  const settings = { ...DEFAULT_CONFIG.freed, ...config.freed };
+  if (freedOutput && JSON.stringify(freedOutput.settings) === JSON.stringify(settings)) return;
+
+  closeFreeD();
+  if (!settings.enabled) return;
+
+  const lens = (key) => (settings[key] ? { ...FREED_LENS_DEFAULTS, ...settings[key] } : null);
+  const socket = dgram.createSocket('udp4');
+  freedOutput = {
+    settings,
+    zoomInput: lens('zoom'),
+    focusInput: lens('focus'),
+    socket,
+    timer: setInterval(sendFreeD, 1000 / settings.rateHz),
+    pose: null,
+    zoom: 0,
+    focus: 0,
+    packetCount: 0,
+    errorCount: 0
+  };
+  const output = freedOutput;
+  socket.on('error', (err) => {
+    output.errorCount++;
+    debugLog('FreeD socket error', err.message, 'ERROR');
+  });
+  debugLog(`FreeD output started: camera ${settings.cameraId} from ${settings.user ? `${settings.user} ` : ''}${settings.source} to ` +
+    settings.destinations.map(dest => `${dest.host || config.oscTargetIp}:${dest.port}`).join(', '));
+}
+
+function closeFreeD() {
+  if (!freedOutput) return;
+  clearInterval(freedOutput.timer);
+  try {
+    freedOutput.socket.close();
+  } catch (err) {
+    debugLog('Error closing FreeD socket', err.message, 'WARN');
+  }
+  freedOutput = null;
+  debugLog('FreeD output stopped');
+}
+
+// Keep the latest camera pose and lens values; the timer sends them
+function updateFreeD(address, args, layout, user) {
+  if (!freedOutput || (freedOutput.settings.user && freedOutput.settings.user !== user)) return;
+  const value = (field) => args[layout.indexOf(field)];
+
+  if (address === freedOutput.settings.source && POSITION_FIELDS.concat(QUATERNION_FIELDS).every(field => layout.includes(field))) {
+    freedOutput.pose = POSITION_FIELDS.concat(QUATERNION_FIELDS).map(value);
+  }
+  ['zoom', 'focus'].forEach(key => {
+    const input = freedOutput[`${key}Input`];
+    if (!input || address !== input.source || !layout.includes(input.field)) return;
+    const t = Math.max(0, Math.min(1, (value(input.field) - input.in[0]) / (input.in[1] - input.in[0])));
+    freedOutput[key] = Math.round(input.out[0] + t * (input.out[1] - input.out[0]));
+  });
+}
+
+function encodeFreeD(cameraId, pose, zoom, focus) {
+  const [x, y, z, qx, qy, qz, qw] = pose;
+  const euler = matrixToEuler(quaternionToMatrix(qx, qy, qz, qw), 'YXZ');
+  const degrees = (radians) => radians * 180 / Math.PI;
+  const int24 = (v) => Math.max(-FREED_INT24_MAX - 1, Math.min(FREED_INT24_MAX, Math.round(v)));
+
+  const packet = Buffer.alloc(FREED_PACKET_BYTES);
+  packet.writeUInt8(0xd1, 0);
+  packet.writeUInt8(cameraId, 1);
+  packet.writeIntBE(int24(-degrees(euler.Y) * FREED_ANGLE_SCALE), 2, 3); // Pan
+  packet.writeIntBE(int24(degrees(euler.X) * FREED_ANGLE_SCALE), 5, 3);  // Tilt
+  packet.writeIntBE(int24(-degrees(euler.Z) * FREED_ANGLE_SCALE), 8, 3); // Roll
+  packet.writeIntBE(int24(x * FREED_POSITION_SCALE), 11, 3);
+  packet.writeIntBE(int24(-z * FREED_POSITION_SCALE), 14, 3);
+  packet.writeIntBE(int24(y * FREED_POSITION_SCALE), 17, 3);
+  packet.writeUIntBE(zoom, 20, 3);
+  packet.writeUIntBE(focus, 23, 3);
+
+  let sum = 0;
+  for (let i = 0; i < FREED_PACKET_BYTES - 1; i++) sum += packet[i];
+  packet.writeUInt8((0x40 - sum) & 0xff, FREED_PACKET_BYTES - 1);
+  return packet;
+}
+
+// Nothing goes out until the source has sent a pose; after that the last one repeats if it stops
+function sendFreeD() {
+  if (!freedOutput.pose) return;
+  const packet = encodeFreeD(freedOutput.settings.cameraId, freedOutput.pose, freedOutput.zoom, freedOutput.focus);
+  freedOutput.settings.destinations.forEach(dest => {
+    const host = dest.host || config.oscTargetIp;
+    freedOutput.socket.send(packet, dest.port, host, (err) => {
+      if (err && freedOutput) {
+        freedOutput.errorCount++;
+        if (freedOutput.errorCount <= 5) debugLog(`FreeD send to ${host}:${dest.port} failed`, err.message, 'WARN');
+      }
+    });
+    freedOutput.packetCount++;
+  });
+}
+
+// --- DMX output (Art-Net / sACN) ---
+// Mappings write into a 512-channel buffer per universe as samples arrive; a timer sends every mapped universe at
+// dmx.rateHz whatever the headsets' rate, so fixtures get a steady refresh. Channels keep their last value.
+//   Art-Net: ArtDmx packets (OpCode 0x5000, protocol 14) with a 15-bit port address, to port 6454
+//   sACN:    E1.31 data packets (root, framing and DMP layers) with this run's CID, to port 5568
+const ARTNET_HEADER = Buffer.from('Art-Net\0', 'ascii');
+const SACN_ACN_ID = Buffer.from('ASC-E1.17\0\0\0', 'ascii');
+const DMX_CHANNELS = 512;
+
+let dmxOutput = null; // { settings, protocol, mappings, universes: Map universe -> { data, sequence }, socket, timer, cid, packetCount, errorCount }
+
+// (Re)start the DMX output when its settings changed; channels start from 0
+function applyDMXConfig() {
+  const settings = { ...DEFAULT_CONFIG.dmx, ...config.dmx };
+  if (dmxOutput && JSON.stringify(dmxOutput.settings) === JSON.stringify(settings)) return;
+
+  closeDMX();
+  if (!settings.enabled) return;
+
+  const universes = new Map();
+  const mappings = settings.mappings.map(mapping => ({ curve: 'linear', resolution: 8, user: '', ...mapping }));
+  mappings.forEach(mapping => {
+    if (!universes.has(mapping.universe)) universes.set(mapping.universe, { data: Buffer.alloc(DMX_CHANNELS), sequence: 0 });
+  });
+
+  const socket = dgram.createSocket('udp4');
+  dmxOutput = {
+    settings,
+    protocol: DMX_PROTOCOLS[settings.protocol],
+    mappings,
+    universes,
+    socket,
+    timer: null,
+    cid: crypto.randomBytes(16),
+    packetCount: 0,
+    errorCount: 0
+  };
+  const output = dmxOutput;
+
+  socket.on('error', (err) => {
+    output.errorCount++;
+    debugLog('DMX socket error', err.message, 'ERROR');
+  });
+  socket.bind(0, () => {
+    try {
+      socket.setBroadcast(true);
+      socket.setMulticastTTL(MULTICAST_TTL);
+      if (settings.interface) socket.setMulticastInterface(settings.interface);
+    } catch (err) {
+      debugLog('DMX broadcast/multicast setup failed', err.message, 'WARN');
+    }
+    if (dmxOutput !== output) return;
+    output.timer = setInterval(sendDMX, 1000 / settings.rateHz);
+    debugLog(`DMX output started: ${settings.protocol}, universes ${Array.from(universes.keys()).join(', ') || 'none'}`, {
+      mappings: mappings.length, rateHz: settings.rateHz, destinations: settings.destinations.length > 0 ? settings.destinations : 'default'
+    });
+  });
+}
+
+function closeDMX() {
+  if (!dmxOutput) return;
+  clearInterval(dmxOutput.timer);
+  try {
+    dmxOutput.socket.close();
+  } catch (err) {
+    debugLog('Error closing DMX socket', err.message, 'WARN');
+  }
+  dmxOutput = null;
+  debugLog('DMX output stopped');
+}
+
+function updateDMX(address, args, layout, user) {
+  if (!dmxOutput) return;
+  const cache = {};
+
+  dmxOutput.mappings.forEach(mapping => {
+    if (mapping.source !== address || (mapping.user && mapping.user !== user)) return;
+
+    const value = readStreamField(args, layout, mapping.field, cache);
+    if (typeof value !== 'number' || !isFinite(value)) return;
+
+    const t = RESPONSE_CURVES[mapping.curve](Math.max(0, Math.min(1, (value - mapping.in[0]) / (mapping.in[1] - mapping.in[0]))));
+    const data = dmxOutput.universes.get(mapping.universe).data;
+    if (mapping.resolution === 16) {
+      data.writeUInt16BE(Math.round(t * 65535), mapping.channel - 1);
+    } else {
+      data[mapping.channel - 1] = Math.round(t * 255);
+    }
+  });
+}
+
+function encodeArtDmx(universe, sequence, data) {
+  const header = Buffer.alloc(18);
+  ARTNET_HEADER.copy(header, 0);
+  header.writeUInt16LE(0x5000, 8);   // OpDmx
+  header.writeUInt16BE(14, 10);      // Protocol version
+  header.writeUInt8(sequence, 12);
+  header.writeUInt8(0, 13);          // Physical input port
+  header.writeUInt16LE(universe, 14); // SubUni, then Net
+  header.writeUInt16BE(data.length, 16);
+  return Buffer.concat([header, data]);
+}
+
+function encodeSACN(universe, sequence, data, settings, cid) {
+  const packet = Buffer.alloc(126 + data.length);
+  const flagsAndLength = (offset) => packet.writeUInt16BE(0x7000 | (packet.length - offset), offset);
+
+  // Root layer
+  packet.writeUInt16BE(0x0010, 0); // Preamble size
+  SACN_ACN_ID.copy(packet, 4);
+  flagsAndLength(16);
+  packet.writeUInt32BE(0x00000004, 18); // VECTOR_ROOT_E131_DATA
+  cid.copy(packet, 22);
+
+  // Framing layer
+  flagsAndLength(38);
+  packet.writeUInt32BE(0x00000002, 40); // VECTOR_E131_DATA_PACKET
+  packet.write(settings.sourceName, 44, 63, 'utf8');
+  packet.writeUInt8(settings.priority, 108);
+  packet.writeUInt8(sequence, 111);
+  packet.writeUInt16BE(universe, 113);
+
+  // DMP layer: start code 0, then the channels
+  flagsAndLength(115);
+  packet.writeUInt8(0x02, 117);         // VECTOR_DMP_SET_PROPERTY
+  packet.writeUInt8(0xa1, 118);         // Address and data type
+  packet.writeUInt16BE(0x0001, 121);    // Address increment
+  packet.writeUInt16BE(data.length + 1, 123);
+  data.copy(packet, 126);
+  return packet;
+}
+
+function sendDMX() {
+  const { settings, protocol } = dmxOutput;
+  dmxOutput.universes.forEach((universe, number) => {
+    universe.sequence = settings.protocol === 'artnet' ? (universe.sequence % 255) + 1 : (universe.sequence + 1) % 256;
+    const packet = settings.protocol === 'artnet'
+      ? encodeArtDmx(number, universe.sequence, universe.data)
+      : encodeSACN(number, universe.sequence, universe.data, settings, dmxOutput.cid);
+    const destinations = settings.destinations.length > 0 ? settings.destinations : [{ host: protocol.defaultHost(number) }];
+
+    destinations.forEach(dest => {
+      const port = dest.port || protocol.port;
+      dmxOutput.socket.send(packet, port, dest.host, (err) => {
+        if (err && dmxOutput) {
+          dmxOutput.errorCount++;
+          if (dmxOutput.errorCount <= 5) debugLog(`DMX send to ${dest.host}:${port} failed`, err.message, 'WARN');
+        }
+      });
+      dmxOutput.packetCount++;
+    });
+  });
+}
+
+// --- Mapping rules ---
+// Rules from rulesFile turn one value of a stream into a single float on an address of their own, so a patch can
+// receive e.g. the right hand's height as 0-1 instead of scaling argument 2 of /controller1/pose itself. The file
+// is a JSON object of rules by name (see validateRule), reloaded when it changes; a file with errors is rejected
+// as a whole and the previous rules stay. A rule runs whenever a sample of its source arrives:
+//   t = (value - in[0]) / (in[1] - in[0]) → clamp to 0-1 → invert → curve → steps → out[0] + t * (out[1] - out[0])
+// The result goes through the transmission deadbands and change-only check like any stream, as field "value".
+const RULE_LAYOUT = ['value'];
+const RULE_ADDRESS_PATTERN = /^(\/[^\s/#*?,[\]{}]+)+$/;
+
+let mappingRules = []; // Compiled rules, see compileRule
+let ruleDistanceSources = new Set(); // Addresses whose positions distance rules need
+const rulePositions = new Map(); // 'user address' -> latest [x, y, z] of a distance source
+let watchedRulesPath = null;
+
+function resolveRulesPath() {
+  return path.resolve(__dirname, config.rulesFile);
+}
+
+// Load and compile the rules file; a missing file means no rules
+function loadRules() {
+  const file = resolveRulesPath();
+  let rules = {};
+  if (fs.existsSync(file)) {
+    try {
+      rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      debugLog(`Failed to read rules file ${file}, keeping current rules`, err.message, 'ERROR');
+      return;
+    }
+    const problems = [];
+    validateRules(rules, problems);
+    if (problems.length > 0) {
+      debugLog(`Rules file ${file} rejected, keeping current rules`, problems, 'ERROR');
+      return;
+    }
+  }
+
+  mappingRules = Object.keys(rules).map(name => compileRule(name, rules[name]));
+  ruleDistanceSources = new Set([].concat(...mappingRules.map(rule => rule.distance || [])));
+  rulePositions.clear();
+  debugLog(`Loaded ${mappingRules.length} mapping rule(s)`, { file });
+}
+
+// Poll the rules file like the config file; it may not exist yet
+function watchRulesFile() {
+  const file = resolveRulesPath();
+  if (watchedRulesPath === file) return;
+  if (watchedRulesPath) fs.unwatchFile(watchedRulesPath);
+  watchedRulesPath = file;
+  fs.watchFile(file, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    debugLog(`Rules file changed: ${file}`);
+    loadRules();
+    syncOSCDestinations();
+  });
+}
+
+function validateRules(rules, problems) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    problems.push('the rules file must be an object of rules by name, like { "hand-height": { "source": ..., "in": [0, 2], "address": ... } }');
+    return;
+  }
+  Object.keys(rules).forEach(name => {
+    if (!STAGE_NAME_PATTERN.test(name)) problems.push(`rule name '${name}' must be 1-32 letters, digits, '-' or '_'`);
+    validateRule(rules[name], `rules.${name}`, problems);
+  });
+}
+
+// Check one rule: { source, in, address, user?, out?, clamp?, invert?, curve?, steps?, destinations? }
+// source is { "address": ..., "field": ... } or { "distance": [address, address] } between two streams' positions
+function validateRule(rule, where, problems) {
+  const isAddress = (value) => typeof value === 'string' && value.startsWith('/');
+  const isRange = (range) => isNumbers(range, 2);
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    problems.push(`${where} must be an object like { "source": { "address": "/controller1/pose", "field": "y" }, "in": [0, 2], "address": "/right/height" }`);
+    return;
+  }
+  Object.keys(rule).forEach(key => {
+    if (!RULE_KEYS.includes(key)) problems.push(`${where}: unknown key '${key}'`);
+  });
+
+  const source = rule.source;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    problems.push(`${where}.source must be { "address": ..., "field": ... } or { "distance": [address, address] }`);
+  } else if (source.distance !== undefined) {
+    if (Object.keys(source).length !== 1 || !(Array.isArray(source.distance) && source.distance.length === 2 && source.distance.every(isAddress))) {
+      problems.push(`${where}.source.distance must be the addresses of two pose streams, e.g. ["/controller0/pose", "/controller1/pose"]`);
+    }
+  } else {
+    Object.keys(source).forEach(key => {
+      if (key !== 'address' && key !== 'field') problems.push(`${where}.source: unknown key '${key}'`);
+    });
+    if (!isAddress(source.address)) problems.push(`${where}.source.address must be the OSC address of a stream, e.g. "/controller0/pose"`);
+    if (!(typeof source.field === 'string' && LAYOUT_FIELD_PATTERN.test(source.field))) {
+      problems.push(`${where}.source.field must name one of the source's arguments, or ${ROTATION_ANGLE_FIELDS.join('/')}`);
+    }
+  }
+
+  if (!(isRange(rule.in) && rule.in[0] !== rule.in[1])) problems.push(`${where}.in must be [min, max] of the source value`);
+  if (rule.out !== undefined && !isRange(rule.out)) problems.push(`${where}.out must be [min, max] of the value sent`);
+  ['clamp', 'invert'].forEach(key => {
+    if (rule[key] !== undefined && typeof rule[key] !== 'boolean') problems.push(`${where}.${key} must be true or false`);
+  });
+  if (rule.curve !== undefined && !Object.prototype.hasOwnProperty.call(RESPONSE_CURVES, rule.curve)) {
+    problems.push(`${where}.curve must be one of ${Object.keys(RESPONSE_CURVES).join(', ')}`);
+  }
+  if (rule.steps !== undefined && !(Number.isInteger(rule.steps) && (rule.steps === 0 || rule.steps >= 2))) {
+    problems.push(`${where}.steps must be 0 (continuous) or the number of levels, 2 or more`);
+  }
+  if (!(typeof rule.address === 'string' && RULE_ADDRESS_PATTERN.test(rule.address))) {
+    problems.push(`${where}.address must be a plain OSC address without wildcards, e.g. "/right/height", got ${JSON.stringify(rule.address)}`);
+  }
+  if (rule.user !== undefined && typeof rule.user !== 'string') problems.push(`${where}.user must be a user name, or "" for any headset`);
+  if (rule.destinations !== undefined) {
+    if (!Array.isArray(rule.destinations)) {
+      problems.push(`${where}.destinations must be an array of { "host"?: ..., "port": ... }`);
+    } else {
+      rule.destinations.forEach((dest, idx) => {
+        if (!dest || typeof dest !== 'object' || (dest.host !== undefined && !isHost(dest.host)) || !isPort(dest.port) ||
+            Object.keys(dest).some(key => key !== 'host' && key !== 'port')) {
+          problems.push(`${where}.destinations[${idx}] must be { "host"?: ..., "port": ... }, got ${JSON.stringify(dest)}`);
+        }
+      });
+    }
+  }
+}
+
+// Fill in the defaults; destinations without a host use oscTargetIp, and without destinations the result is routed
+function compileRule(name, rule) {
+  return {
+    name,
+    user: rule.user || '',
+    source: rule.source.address || null,
+    field: rule.source.field || null,
+    distance: rule.source.distance || null,
+    in: rule.in,
+    out: rule.out || [0, 1],
+    clamp: rule.clamp !== false,
+    invert: rule.invert === true,
+    curve: RESPONSE_CURVES[rule.curve || 'linear'],
+    steps: rule.steps || 0,
+    address: rule.address,
+    destinations: (rule.destinations || []).map(dest => {
+      const host = dest.host || config.oscTargetIp;
+      return { key: `${host}:${dest.port}`, host, port: dest.port };
+    })
+  };
+}
+
+// Run the rules whose source this sample is
+function updateRules(address, args, layout, user, timeMs) {
+  if (mappingRules.length === 0) return;
+  if (ruleDistanceSources.has(address) && POSITION_FIELDS.every(field => layout.includes(field))) {
+    rulePositions.set(`${user} ${address}`, POSITION_FIELDS.map(field => args[layout.indexOf(field)]));
+  }
+  const cache = {};
+
+  mappingRules.forEach(rule => {
+    if (rule.user && rule.user !== user) return;
+
+    let value;
+    if (rule.distance) {
+      if (rule.distance[0] !== address) return; // Once per frame, with the second stream's latest position
+      const [a, b] = rule.distance.map(source => rulePositions.get(`${user} ${source}`));
+      if (!a || !b) return;
+      value = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    } else {
+      if (rule.source !== address) return;
+      value = readStreamField(args, layout, rule.field, cache);
+    }
+    if (typeof value !== 'number' || !isFinite(value)) return;
+
+    sendRule(rule, applyRule(rule, value), user, timeMs);
+  });
+}
+
+function applyRule(rule, value) {
+  let t = (value - rule.in[0]) / (rule.in[1] - rule.in[0]);
+  if (rule.clamp) t = Math.max(0, Math.min(1, t));
+  if (rule.invert) t = 1 - t;
+  if (t >= 0 && t <= 1) t = rule.curve(t); // Unclamped values beyond the range carry on linearly
+  if (rule.steps) t = Math.round(t * (rule.steps - 1)) / (rule.steps - 1);
+  return rule.out[0] + t * (rule.out[1] - rule.out[0]);
+}
+
+// Send a rule's result through the routing table, or straight to its own destinations
+function sendRule(rule, value, user, timeMs) {
+  const outArgs = applyTransmission(`${user} rule ${rule.name}`, [value], RULE_LAYOUT, timeMs);
+  if (!outArgs) return;
+  if (rule.destinations.length === 0) {
+    sendOSC(rule.address, outArgs, { user });
+    return;
+  }
+
+  const portOffset = user ? (config.userPortOffsets[user] || 0) : 0;
+  const address = (user && config.userNamespaces ? `/user/${user}` : '') + rule.address;
+  rule.destinations.forEach(dest => {
+    sendToDestination(portOffset ? `${dest.host}:${dest.port + portOffset}` : dest.key, { address, args: toOSCArgs(outArgs) });
+  });
+  recordSentMessage(address, outArgs, null);
+}
+
+// --- Smoothing filters ---
+// Named filters smooth the position (x y z) and rotation (qx qy qz qw) of the streams they match, separately per
+// user and address, using the frame timestamps. Motion features are derived from the smoothed poses.
+const FILTER_MAX_GAP_MS = 500; // Longer gaps restart the filter from the next raw sample
+const FILTER_CHANNEL_FIELDS = { position: POSITION_FIELDS, rotation: QUATERNION_FIELDS };
+
+let filterRules = [];         // [{ name, regex, position, rotation }] in config order; OSC and console edits last until the next reload
+let filterState = new Map();  // 'name channel user address' -> { t, value, ... }
+
+function applyFilterConfig() {
+  filterRules = Object.keys(config.filters).map(name => {
+    const filter = config.filters[name];
+    const rule = { name, regex: compileAddressPattern(filter.match) };
+    Object.keys(FILTER_CHANNEL_FIELDS).forEach(channel => {
+      const settings = filter[channel];
+      rule[channel] = settings ? { type: settings.type, ...FILTER_TYPES[channel][settings.type], ...settings } : null;
+    });
+    return rule;
+  });
+  filterState.clear();
+}
+
+function describeFilter(settings) {
+  if (!settings) return 'off';
+  return [settings.type, ...Object.keys(settings).filter(key => key !== 'type').map(key => `${key}=${settings[key]}`)].join(' ');
+}
+
+// Change one parameter of a filter channel; setting "type" switches the filter and starts it over with its defaults
+function setFilterParameter(name, channel, param, value) {
+  const rule = filterRules.find(r => r.name === name);
+  if (!rule) throw new Error(`unknown filter '${name}' (${filterRules.map(r => r.name).join(', ') || 'none configured'})`);
+  if (!Object.prototype.hasOwnProperty.call(FILTER_CHANNEL_FIELDS, channel)) throw new Error(`unknown channel '${channel}' (${Object.keys(FILTER_CHANNEL_FIELDS).join(', ')})`);
+
+  let settings;
+  if (param === 'type') {
+    settings = { type: String(value), ...FILTER_TYPES[channel][value] };
+  } else if (!rule[channel]) {
+    throw new Error(`filter '${name}' has no ${channel} filter, set its type first`);
+  } else {
+    settings = { ...rule[channel], [param]: Number(value) };
+  }
+
+  const problems = [];
+  validateFilterChannel(settings, channel, `${name}.${channel}`, problems);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+
+  rule[channel] = settings;
+  if (param === 'type') {
+    Array.from(filterState.keys())
+      .filter(key => key.startsWith(`${name} ${channel} `))
+      .forEach(key => filterState.delete(key));
+  }
+  debugLog(`Filter ${name} ${channel}: ${describeFilter(settings)}`);
+}
+
+// One Euro smoothing factor for a cutoff frequency (Hz) at a sample interval of dt seconds
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+function lerpVector(a, b, t) {
+  return a.map((v, i) => v + (b[i] - v) * t);
+}
+
+function slerpQuaternion(q0, q1, t) {
+  let dot = q0[0] * q1[0] + q0[1] * q1[1] + q0[2] * q1[2] + q0[3] * q1[3];
+  let target = q1;
+  if (dot < 0) { // Shorter way round
+    dot = -dot;
+    target = q1.map(v => -v);
+  }
+  if (dot > 0.9995) { // Nearly the same rotation: lerp and normalize
+    const q = lerpVector(q0, target, t);
+    const len = Math.hypot(...q);
+    return q.map(v => v / len);
+  }
+  const theta = Math.acos(dot);
+  const a = Math.sin((1 - t) * theta) / Math.sin(theta);
+  const b = Math.sin(t * theta) / Math.sin(theta);
+  return q0.map((v, i) => v * a + target[i] * b);
+}
+
+function quaternionAngle(q0, q1) {
+  const dot = Math.abs(q0[0] * q1[0] + q0[1] * q1[1] + q0[2] * q1[2] + q0[3] * q1[3]);
+  return 2 * Math.acos(Math.min(1, dot));
+}
+
+// Filter steps: (previous state or null to start over, raw sample, dt in seconds, settings) -> new state with .value
+const FILTERS = {
+  position: {
+    // One Euro: the cutoff rises with speed, so slow movement is smoothed hard and fast movement lags little
+    'one-euro': (prev, raw, dt, p) => {
+      if (!prev) return { value: raw, raw, derivative: raw.map(() => 0) };
+      const derivative = lerpVector(prev.derivative, raw.map((v, i) => (v - prev.raw[i]) / dt), smoothingFactor(p.dCutoff, dt));
+      const value = raw.map((v, i) => prev.value[i] + (v - prev.value[i]) * smoothingFactor(p.minCutoff + p.beta * Math.abs(derivative[i]), dt));
+      return { value, raw, derivative };
+    },
+    ema: (prev, raw, dt, p) => ({ value: prev ? lerpVector(prev.value, raw, p.alpha) : raw }),
+    // Constant-velocity Kalman filter per axis; unknown acceleration is the process noise
+    kalman: (prev, raw, dt, p) => {
+      const r = p.measurementNoise ** 2;
+      if (!prev) return { value: raw, velocity: raw.map(() => 0), covariance: raw.map(() => [r, 0, 1]) };
+
+      const q = p.processNoise ** 2;
+      const value = [];
+      const velocity = [];
+      const covariance = [];
+      raw.forEach((measured, i) => {
+        // Predict
+        let [p00, p01, p11] = prev.covariance[i];
+        const predicted = prev.value[i] + prev.velocity[i] * dt;
+        p00 += dt * (2 * p01 + dt * p11) + q * dt ** 4 / 4;
+        p01 += dt * p11 + q * dt ** 3 / 2;
+        p11 += q * dt * dt;
+        // Correct with the measured position
+        const k0 = p00 / (p00 + r);
+        const k1 = p01 / (p00 + r);
+        const residual = measured - predicted;
+        value.push(predicted + k0 * residual);
+        velocity.push(prev.velocity[i] + k1 * residual);
+        covariance.push([(1 - k0) * p00, (1 - k0) * p01, p11 - k1 * p01]);
+      });
+      return { value, velocity, covariance };
+    }
+  },
+  rotation: {
+    // One Euro on the angular speed, slerping towards each new sample
+    'one-euro': (prev, raw, dt, p) => {
+      if (!prev) return { value: raw, raw, derivative: 0 };
+      const speed = quaternionAngle(prev.raw, raw) / dt;
+      const derivative = prev.derivative + (speed - prev.derivative) * smoothingFactor(p.dCutoff, dt);
+      const value = slerpQuaternion(prev.value, raw, smoothingFactor(p.minCutoff + p.beta * derivative, dt));
+      return { value, raw, derivative };
+    },
+    slerp: (prev, raw, dt, p) => ({ value: prev ? slerpQuaternion(prev.value, raw, p.alpha) : raw })
+  }
+};
+
+// Smoothed copy of args for a sample taken at timeMs (args itself when no filter applies)
+function filterPose(address, args, layout, user, timeMs) {
+  const rule = filterRules.find(r => r.regex.test(address));
+  if (!rule) return args;
+
+  let filtered = args;
+  Object.keys(FILTER_CHANNEL_FIELDS).forEach(channel => {
+    const settings = rule[channel];
+    const indices = FILTER_CHANNEL_FIELDS[channel].map(field => layout.indexOf(field));
+    if (!settings || settings.type === 'none' || indices.includes(-1)) return;
+
+    let raw = indices.map(i => args[i]);
+    if (channel === 'rotation') {
+      const len = Math.hypot(...raw) || 1;
+      raw = raw.map(v => v / len);
+    }
+
+    const key = `${rule.name} ${channel} ${user} ${address}`;
+    const prev = filterState.get(key);
+    const dt = prev ? (timeMs - prev.t) / 1000 : 0;
+    let state = prev;
+    if (!prev || dt > 0) { // A repeated or earlier timestamp (clock re-sync) keeps the last output
+      state = FILTERS[channel][settings.type](prev && dt * 1000 <= FILTER_MAX_GAP_MS ? prev : null, raw, dt, settings);
+      state.t = timeMs;
+      filterState.set(key, state);
+    }
+
+    if (filtered === args) filtered = args.slice();
+    indices.forEach((argIndex, i) => { filtered[argIndex] = state.value[i]; });
+  });
+  return filtered;
+}
+
+// /bridge/filter/<name>/<channel>/<param> <value>
+function handleFilterCommand(match, args) {
+  try {
+    if (args.length === 0) throw new Error('missing value');
+    setFilterParameter(match[1], match[2], match[3], args[0]);
+  } catch (err) {
+    debugLog(`Filter command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// --- Deadband and change-only transmission ---
+// Applied to every stream with a layout as it leaves the server; app.js does the same before sending to the server.
+// Events (button down/up, pinch start/end) have no layout and are never held back.
+let transmissionState = new Map(); // 'user address' -> { args, layout, time } last sent
+
+function applyTransmissionConfig() {
+  transmissionState.clear();
+}
+
+// The args to send for a stream sample, or null when change-only holds it back. A value that moved less than its
+// deadband since it was last sent goes out as that last value, so jitter reads as no change.
+function applyTransmission(key, args, layout, now) {
+  const { changeOnly, keepaliveMs, deadband } = config.transmission;
+  const last = transmissionState.get(key);
+  if (!last || last.layout.join(' ') !== layout.join(' ')) {
+    transmissionState.set(key, { args, layout, time: now });
+    return args;
+  }
+
+  const out = args.slice();
+  const indices = (fields) => fields.map(field => layout.indexOf(field));
+  const hold = (idx) => idx.forEach(i => { out[i] = last.args[i]; });
+  const grouped = new Set();
+
+  const position = indices(POSITION_FIELDS);
+  if (!position.includes(-1)) {
+    position.forEach(i => grouped.add(i));
+    const distance = Math.hypot(...position.map(i => args[i] - last.args[i]));
+    if (distance * 1000 < (deadband.position || 0)) hold(position);
+  }
+  const rotation = indices(QUATERNION_FIELDS);
+  if (!rotation.includes(-1)) {
+    rotation.forEach(i => grouped.add(i));
+    const normalize = (q) => { const len = Math.hypot(...q) || 1; return q.map(v => v / len); };
+    const angle = quaternionAngle(normalize(rotation.map(i => args[i])), normalize(rotation.map(i => last.args[i])));
+    if (angle * 180 / Math.PI < (deadband.rotation || 0)) hold(rotation);
+  }
+  layout.forEach((field, i) => {
+    if (!grouped.has(i) && Math.abs(args[i] - last.args[i]) < (deadband.value || 0)) hold([i]);
+  });
+
+  const changed = out.some((v, i) => v !== last.args[i]);
+  if (!changed && changeOnly && (keepaliveMs === 0 || now - last.time < keepaliveMs)) return null;
+  transmissionState.set(key, { args: out, layout, time: now });
+  return out;
+}
+
+// --- Motion features ---
+// Velocity, speed, acceleration, angular velocity and jerk of pose streams, published next to them:
+// /controller0/pose -> /controller0/velocity, /controller0/speed, ... (other addresses get /velocity appended).
+// Velocities the browser reports (XRPose.linearVelocity/angularVelocity, sent as vx.. and wx..) are used
+// as they are; everything else comes from finite differences over the pose timestamps.
+const MOTION_MAX_GAP_MS = 500; // Longer gaps (tracking lost, streaming paused) restart the history
+const VELOCITY_FIELDS = LINEAR_VECTOR_FIELDS[0];
+const ACCELERATION_FIELDS = LINEAR_VECTOR_FIELDS[1];
+const JERK_FIELDS = LINEAR_VECTOR_FIELDS[2];
+const ANGULAR_VELOCITY_FIELDS = ANGULAR_VECTOR_FIELDS[0];
+const MOTION_INPUT_FIELDS = VELOCITY_FIELDS.concat(ANGULAR_VELOCITY_FIELDS);
+
+let motionRegex = null;          // Compiled motion.match
+let motionFeatures = new Set();  // Enabled features; OSC and console toggles change it until the next reload
+let motionHistory = new Map();   // 'user address' -> { t, position, quat, velocity, acceleration }
+
+function applyMotionConfig() {
+  motionRegex = compileAddressPattern(config.motion.match);
+  motionFeatures = new Set(config.motion.features);
+  motionHistory.clear();
+}
+
+function setMotionFeature(feature, enabled) {
+  if (!MOTION_FEATURES.includes(feature)) throw new Error(`unknown motion feature '${feature}' (${MOTION_FEATURES.join(', ')})`);
+  if (enabled) motionFeatures.add(feature);
+  else motionFeatures.delete(feature);
+  debugLog(`Motion feature ${feature} ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+// Rotation rate (rad/s, world axes) that turns q0 into q1 over dt seconds
+function quaternionAngularVelocity(q0, q1, dt) {
+  // dq = q1 * conjugate(q0)
+  const [x0, y0, z0, w0] = [-q0[0], -q0[1], -q0[2], q0[3]];
+  const [x1, y1, z1, w1] = q1;
+  let dx = w1 * x0 + x1 * w0 + y1 * z0 - z1 * y0;
+  let dy = w1 * y0 - x1 * z0 + y1 * w0 + z1 * x0;
+  let dz = w1 * z0 + x1 * y0 - y1 * x0 + z1 * w0;
+  let dw = w1 * w0 - x1 * x0 - y1 * y0 - z1 * z0;
+  if (dw < 0) { dx = -dx; dy = -dy; dz = -dz; dw = -dw; } // Shorter way round
+
+  const sinHalf = Math.hypot(dx, dy, dz);
+  if (sinHalf < 1e-9) return [0, 0, 0];
+  const rate = 2 * Math.atan2(sinHalf, dw) / dt;
+  return [dx / sinHalf * rate, dy / sinHalf * rate, dz / sinHalf * rate];
+}
+
+// Derived messages [{ address, args, layout }] for one pose sample taken at timeMs
+function deriveMotion(address, args, layout, user, timeMs) {
+  if (motionFeatures.size === 0 || !motionRegex.test(address)) return [];
+  if (!POSITION_FIELDS.every(field => layout.includes(field))) return [];
+
+  const value = (name) => args[layout.indexOf(name)];
+  const has = (fields) => fields.every(field => layout.includes(field));
+  const key = `${user} ${address}`;
+  const prev = motionHistory.get(key);
+  const dt = prev ? (timeMs - prev.t) / 1000 : 0;
+  const continuous = prev && dt > 0 && dt * 1000 <= MOTION_MAX_GAP_MS;
+  const rate = (now, before) => now.map((v, i) => (v - before[i]) / dt);
+
+  const sample = {
+    t: timeMs,
+    position: POSITION_FIELDS.map(value),
+    quat: has(QUATERNION_FIELDS) ? QUATERNION_FIELDS.map(value) : null,
+    velocity: null,
+    acceleration: null
+  };
+  if (sample.quat) {
+    const len = Math.hypot(...sample.quat) || 1;
+    sample.quat = sample.quat.map(v => v / len);
+  }
+
+  if (has(VELOCITY_FIELDS)) sample.velocity = VELOCITY_FIELDS.map(value);
+  else if (continuous) sample.velocity = rate(sample.position, prev.position);
+
+  let angularVelocity = null;
+  if (has(ANGULAR_VELOCITY_FIELDS)) angularVelocity = ANGULAR_VELOCITY_FIELDS.map(value);
+  else if (continuous && sample.quat && prev.quat) angularVelocity = quaternionAngularVelocity(prev.quat, sample.quat, dt);
+
+  if (continuous && sample.velocity && prev.velocity) sample.acceleration = rate(sample.velocity, prev.velocity);
+  const jerk = continuous && sample.acceleration && prev.acceleration ? rate(sample.acceleration, prev.acceleration) : null;
+  motionHistory.set(key, sample);
+
+  const base = address.endsWith('/pose') ? address.slice(0, -'/pose'.length) : address;
+  const derived = [];
+  const publish = (feature, values, fields) => {
+    if (values && motionFeatures.has(feature)) derived.push({ address: `${base}/${feature}`, args: values, layout: fields });
+  };
+  publish('velocity', sample.velocity, VELOCITY_FIELDS);
+  publish('speed', sample.velocity && [Math.hypot(...sample.velocity)], ['speed']);
+  publish('acceleration', sample.acceleration, ACCELERATION_FIELDS);
+  publish('angular-velocity', angularVelocity, ANGULAR_VELOCITY_FIELDS);
+  publish('jerk', jerk, JERK_FIELDS);
+  return derived;
+}
+
+// /bridge/motion/<feature> <0|1>
+function handleMotionCommand(match, args) {
+  try {
+    setMotionFeature(match[1], args.length === 0 || Number(args[0]) !== 0);
+  } catch (err) {
+    debugLog(`Motion command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// --- Spatial zones ---
+// Each zone checks the position (x y z) of the streams its "match" selects (default: HMD and controller poses),
+// after calibration and filtering, per user and device ("hmd", "controller0", ...):
+//   /zone/<name>/enter     device, devices inside   a device came in
+//   /zone/<name>/exit      device, devices inside   it left, or its headset disconnected
+//   /zone/<name>/position  device, u, v, w          every sample while inside: 0-1 across the zone's X, Y and Z extent
+//                                                  (held back like any stream by transmission's deadband and changeOnly)
+// Headsets get the zones to draw them. Zones set or removed over OSC or on the console last until the next reload.
+const ZONE_DEFAULT_MATCH = '/*/pose';
+const ZONE_HYSTERESIS_M = 0.02; // A device has to be this far in to enter, and this far out to exit
+const ZONE_POSITION_LAYOUT = ['u', 'v', 'w'];
+
+let zones = new Map(); // name -> { name, def, regex, bounds, occupants: Map 'user device' -> { user, device } }
+
+function applyZoneConfig() {
+  const previous = zones;
+  zones = new Map();
+  Object.keys(config.zones).forEach(name => zones.set(name, buildZone(name, config.zones[name], previous.get(name))));
+  previous.forEach((zone, name) => {
+    if (!zones.has(name)) emptyZone(zone);
+  });
+  broadcastStage();
+}
+
+// Occupants carry over when a zone is redefined; the next samples decide whether they are still inside
+function buildZone(name, def, previous) {
+  return {
+    name,
+    def,
+    regex: compileAddressPattern(def.match || ZONE_DEFAULT_MATCH),
+    bounds: zoneBounds(def),
+    occupants: previous ? previous.occupants : new Map()
+  };
+}
+
+function setZone(name, def) {
+  const problems = [];
+  validateZone(name, def, name, problems);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+
+  zones.set(name, buildZone(name, def, zones.get(name)));
+  debugLog(`Zone ${name} set`, def);
+  broadcastStage();
+}
+
+function removeZone(name) {
+  const zone = zones.get(name);
+  if (!zone) throw new Error(`unknown zone '${name}'`);
+  zones.delete(name);
+  emptyZone(zone);
+  debugLog(`Zone ${name} removed`);
+  broadcastStage();
+}
+
+// Build a zone from OSC/console numbers:
+//   box x y z width height depth | sphere x y z radius | cylinder x z radius floor height | polygon floor height x1 z1 x2 z2 ...
+function zoneFromNumbers(shape, numbers) {
+  switch (shape) {
+    case 'box': return { shape, center: numbers.slice(0, 3), size: numbers.slice(3, 6) };
+    case 'sphere': return { shape, center: numbers.slice(0, 3), radius: numbers[3] };
+    case 'cylinder': return { shape, center: numbers.slice(0, 2), radius: numbers[2], floor: numbers[3], height: numbers[4] };
+    case 'polygon': {
+      const points = [];
+      for (let i = 2; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+      return { shape, floor: numbers[0], height: numbers[1], points };
+    }
+    default: throw new Error(`unknown zone shape '${shape}' (${Object.keys(ZONE_SHAPES).join(', ')})`);
+  }
+}
+
+// Axis-aligned extent { min: [x, y, z], max: [x, y, z] } that /position is normalized to
+function zoneBounds(def) {
+  const floor = def.floor || 0;
+  switch (def.shape) {
+    case 'box':
+      return { min: def.center.map((v, i) => v - def.size[i] / 2), max: def.center.map((v, i) => v + def.size[i] / 2) };
+    case 'sphere':
+      return { min: def.center.map(v => v - def.radius), max: def.center.map(v => v + def.radius) };
+    case 'cylinder':
+      return {
+        min: [def.center[0] - def.radius, floor, def.center[1] - def.radius],
+        max: [def.center[0] + def.radius, floor + def.height, def.center[1] + def.radius]
+      };
+    default: {
+      const xs = def.points.map(point => point[0]);
+      const zs = def.points.map(point => point[1]);
+      return { min: [Math.min(...xs), floor, Math.min(...zs)], max: [Math.max(...xs), floor + def.height, Math.max(...zs)] };
+    }
+  }
+}
+
+// Even-odd rule on the floor plane
+function pointInPolygon(x, z, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, zi] = points[i];
+    const [xj, zj] = points[j];
+    if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function distanceToPolygonEdge(x, z, points) {
+  let best = Infinity;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [ax, az] = points[j];
+    const [bx, bz] = points[i];
+    const lengthSq = (bx - ax) ** 2 + (bz - az) ** 2;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * (bx - ax) + (z - az) * (bz - az)) / lengthSq)) : 0;
+    best = Math.min(best, Math.hypot(x - (ax + t * (bx - ax)), z - (az + t * (bz - az))));
+  }
+  return best;
+}
+
+// Is point p inside the zone grown by margin meters (a negative margin shrinks it)?
+function zoneContains(def, p, margin) {
+  const [x, y, z] = p;
+  const floor = def.floor || 0;
+  switch (def.shape) {
+    case 'box':
+      return p.every((v, i) => Math.abs(v - def.center[i]) <= def.size[i] / 2 + margin);
+    case 'sphere':
+      return Math.hypot(x - def.center[0], y - def.center[1], z - def.center[2]) <= def.radius + margin;
+    case 'cylinder':
+      return y >= floor - margin && y <= floor + def.height + margin &&
+        Math.hypot(x - def.center[0], z - def.center[1]) <= def.radius + margin;
+    default: {
+      if (y < floor - margin || y > floor + def.height + margin) return false;
+      const inside = pointInPolygon(x, z, def.points);
+      const edge = distanceToPolygonEdge(x, z, def.points);
+      return margin >= 0 ? inside || edge <= margin : inside && edge >= -margin;
+    }
+  }
+}
+
+function zoneDeviceName(address) {
+  return address.replace(/^\//, '').replace(/\/pose$/, '');
+}
+
+function updateZones(address, args, layout, user, timeMs) {
+  if (zones.size === 0) return;
+  const indices = POSITION_FIELDS.map(field => layout.indexOf(field));
+  if (indices.includes(-1)) return;
+
+  const position = indices.map(i => args[i]);
+  const device = zoneDeviceName(address);
+  zones.forEach(zone => {
+    if (!zone.regex.test(address)) return;
+    const wasInside = zone.occupants.has(`${user} ${device}`);
+    const inside = zoneContains(zone.def, position, wasInside ? ZONE_HYSTERESIS_M : -ZONE_HYSTERESIS_M);
+
+    if (inside && !wasInside) enterZone(zone, user, device);
+    if (!inside && wasInside) leaveZone(zone, user, device);
+    if (inside) {
+      const { min, max } = zone.bounds;
+      const normalized = position.map((v, i) => Math.max(0, Math.min(1, (v - min[i]) / (max[i] - min[i]))));
+      // The device name leads the args, so the deadband applies to u, v, w per zone and device
+      const out = applyTransmission(`${user} zone ${zone.name} ${device}`, normalized, ZONE_POSITION_LAYOUT, timeMs);
+      if (out) sendOSC(`/zone/${zone.name}/position`, [device, ...out], { user });
+    }
+  });
+}
+
+function enterZone(zone, user, device) {
+  zone.occupants.set(`${user} ${device}`, { user, device });
+  debugLog(`${user || 'Unnamed client'} ${device} entered zone ${zone.name}`);
+  sendOSC(`/zone/${zone.name}/enter`, [device, zone.occupants.size], { user });
+  notifyZoneState(zone, user);
+}
+
+function leaveZone(zone, user, device) {
+  zone.occupants.delete(`${user} ${device}`);
+  transmissionState.delete(`${user} zone ${zone.name} ${device}`); // Its position starts afresh on the next entry
+  debugLog(`${user || 'Unnamed client'} ${device} left zone ${zone.name}`);
+  sendOSC(`/zone/${zone.name}/exit`, [device, zone.occupants.size], { user });
+  notifyZoneState(zone, user);
+}
+
+function emptyZone(zone) {
+  Array.from(zone.occupants.values()).forEach(({ user, device }) => leaveZone(zone, user, device));
+}
+
+// A user's headset went away: its devices leave every zone
+function releaseZoneUser(user) {
+  zones.forEach(zone => {
+    Array.from(zone.occupants.values())
+      .filter(occupant => occupant.user === user)
+      .forEach(({ device }) => leaveZone(zone, user, device));
+  });
+}
+
+// Tell the user's headset which of its devices are in the zone, so it can highlight it
+function notifyZoneState(zone, user) {
+  if (!user) return;
+  const devices = Array.from(zone.occupants.values()).filter(occupant => occupant.user === user).map(occupant => occupant.device);
+  notifyUser(user, { type: 'zoneState', zone: zone.name, devices });
+}
+
+// /bridge/zone/<name>/<shape> <numbers...>, /bridge/zone/<name>/remove
+function handleZoneCommand(match, args) {
+  try {
+    if (match[2] === 'remove') removeZone(match[1]);
+    else setZone(match[1], zoneFromNumbers(match[2], args.map(Number)));
+  } catch (err) {
+    debugLog(`Zone command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// --- Virtual planes ---
+// Each plane is a rectangle that the aim rays of the streams its "match" selects (default: the controllers'
+// /controllerN/aim poses) are cast along, -Z of the pose, after calibration and filtering. Every sample sends
+//   /controller0/plane/<name>  u, v, hit
+// where u runs 0-1 from the plane's left edge to its right and v from bottom to top, as seen from its front (+Z
+// before rotation). hit is 1 while the ray crosses the rectangle; otherwise u and v are clamped to its edges, or
+// keep their last values while the ray points away from the plane. Either side of a plane can be hit.
+// Headsets get the planes to draw them. Planes set or removed over OSC or on the console last until the next reload.
+const PLANE_DEFAULT_MATCH = '/controller*/aim';
+const PLANE_LAYOUT = ['u', 'v', 'hit'];
+
+let planes = new Map();     // name -> { name, def, regex, center, right, up, normal }
+let planeState = new Map(); // 'user address name' -> last [u, v]
+
+function applyPlaneConfig() {
+  planes = new Map();
+  Object.keys(config.planes).forEach(name => planes.set(name, buildPlane(name, config.planes[name])));
+  planeState.clear();
+  broadcastStage();
+}
+
+// The plane's axes in stage space: rotation is yaw about Y, then pitch about X, then roll about Z
+function buildPlane(name, def) {
+  const [yaw, pitch, roll] = (def.rotation || [0, 0, 0]).map(degrees => degrees * Math.PI / 180);
+  const rotationY = [Math.cos(yaw), 0, Math.sin(yaw), 0, 1, 0, -Math.sin(yaw), 0, Math.cos(yaw)];
+  const rotationX = [1, 0, 0, 0, Math.cos(pitch), -Math.sin(pitch), 0, Math.sin(pitch), Math.cos(pitch)];
+  const rotationZ = [Math.cos(roll), -Math.sin(roll), 0, Math.sin(roll), Math.cos(roll), 0, 0, 0, 1];
+  const m = multiplyMatrices(multiplyMatrices(rotationY, rotationX), rotationZ);
+
+  return {
+    name,
+    def,
+    regex: compileAddressPattern(def.match || PLANE_DEFAULT_MATCH),
+    center: def.center,
+    right: [m[0], m[3], m[6]],
+    up: [m[1], m[4], m[7]],
+    normal: [m[2], m[5], m[8]]
+  };
+}
+
+function setPlane(name, def) {
+  const problems = [];
+  validatePlane(name, def, name, problems);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+
+  planes.set(name, buildPlane(name, def));
+  debugLog(`Plane ${name} set`, def);
+  broadcastStage();
+}
+
+function removePlane(name) {
+  if (!planes.delete(name)) throw new Error(`unknown plane '${name}'`);
+  debugLog(`Plane ${name} removed`);
+  broadcastStage();
+}
+
+// Build a plane from OSC/console numbers: x y z yaw pitch roll width height
+function planeFromNumbers(numbers) {
+  return { center: numbers.slice(0, 3), rotation: numbers.slice(3, 6), size: numbers.slice(6, 8) };
+}
+
+function updatePlanes(address, args, layout, user, timeMs) {
+  if (planes.size === 0) return;
+  const fields = POSITION_FIELDS.concat(QUATERNION_FIELDS).map(field => layout.indexOf(field));
+  if (fields.includes(-1)) return;
+
+  const [x, y, z, qx, qy, qz, qw] = fields.map(i => args[i]);
+  const m = quaternionToMatrix(qx, qy, qz, qw);
+  const direction = [-m[2], -m[5], -m[8]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  planes.forEach(plane => {
+    if (!plane.regex.test(address)) return;
+    const key = `${user} ${address} ${plane.name}`;
+    const toCenter = [plane.center[0] - x, plane.center[1] - y, plane.center[2] - z];
+    const facing = dot(direction, plane.normal);
+    const distance = Math.abs(facing) > 1e-6 ? dot(toCenter, plane.normal) / facing : -1;
+
+    let u, v, hit = 0;
+    if (distance >= 0) {
+      const offset = direction.map((d, i) => d * distance - toCenter[i]);
+      u = dot(offset, plane.right) / plane.def.size[0] + 0.5;
+      v = dot(offset, plane.up) / plane.def.size[1] + 0.5;
+      if (u >= 0 && u <= 1 && v >= 0 && v <= 1) hit = 1;
+      u = Math.max(0, Math.min(1, u));
+      v = Math.max(0, Math.min(1, v));
+      planeState.set(key, [u, v]);
+    } else {
+      [u, v] = planeState.get(key) || [0.5, 0.5];
+    }
+
+    const planeAddress = `${address.replace(/\/[^/]*$/, '')}/plane/${plane.name}`;
+    sendStream(planeAddress, [u, v, hit], PLANE_LAYOUT, user, timeMs);
+  });
+}
+
+// /bridge/plane/<name>/set x y z yaw pitch roll width height, /bridge/plane/<name>/remove
+function handlePlaneCommand(match, args) {
+  try {
+    if (match[2] === 'remove') removePlane(match[1]);
+    else setPlane(match[1], planeFromNumbers(args.map(Number)));
+  } catch (err) {
+    debugLog(`Plane command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// Zones and planes are in stage space; the headset draws them in its own tracking space using its calibration
+function sendStage(ws) {
+  const calibration = calibrations[ws.clientInfo.user];
+  const zoneDefs = {};
+  zones.forEach(zone => { zoneDefs[zone.name] = zone.def; });
+  const planeDefs = {};
+  planes.forEach(plane => { planeDefs[plane.name] = plane.def; });
+  sendToClient(ws, {
+    type: 'stage',
+    zones: zoneDefs,
+    planes: planeDefs,
+    calibration: calibration ? { yaw: calibration.yaw, scale: calibration.scale, offset: calibration.offset } : null
+  });
+}
+
+function broadcastStage() {
+  wss.clients.forEach(ws => {
+    if (ws.readyState === WebSocket.OPEN && ws.clientInfo && ws.clientInfo.user) sendStage(ws);
+  });
+}
+
+// --- Session recording and playback ---
+// Recordings are JSON Lines files: a metadata header line, then one {t, address, args, layout?, client, user} line
+// per message, where t is milliseconds since the recording started.
+const RECORDING_FORMAT_VERSION = 1;
+const PLAYBACK_MAX_SPEED = 16;
+
+let activeRecording = null; // { file, stream, startTime, messageCount }
+let playback = {
+  file: null,
+  meta: null,
+  messages: [],
+  duration: 0,        // ms
+  index: 0,           // next message to send
+  playing: false,
+  loop: false,
+  speed: 1,
+  timer: null,
+  clockStart: 0,      // wall clock (ms) when the current run started
+  positionAtStart: 0  // playback position (ms) when the current run started
+};
+
+function resolveRecordingPath(fileName) {
+  const recordingsDir = path.resolve(__dirname, config.recordingsDir);
+  return path.resolve(recordingsDir, fileName);
+}
+
+// Recordings to play from the console or command line: a bare name is looked up in recordingsDir,
+// like the ones "record" writes; a path with a directory part is relative to the working directory
+function resolvePlaybackPath(file) {
+  return path.basename(file) === file ? resolveRecordingPath(file) : path.resolve(file);
+}
+
+function formatRecordingName(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `recording-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.jsonl`;
+}
+
+// Describe the connected headsets for recording metadata
+function getConnectedClientInfo() {
+  return Array.from(wss.clients)
+    .filter(ws => ws.clientInfo)
+    .map(ws => Object.assign({}, ws.clientInfo));
+}
+
+// Start writing every message that reaches handleOSCMessage to a new recording file
+function startRecording(fileName = null) {
+  if (activeRecording) {
+    throw new Error(`Already recording to ${activeRecording.file}`);
+  }
+
+  const startTime = new Date();
+  const file = resolveRecordingPath(fileName || formatRecordingName(startTime));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const stream = fs.createWriteStream(file, { flags: 'wx' });
+  stream.on('error', (err) => {
+    debugLog(`Recording write error for ${file}`, err.message, 'ERROR');
+    if (activeRecording && activeRecording.stream === stream) activeRecording = null;
+  });
+
+  stream.write(JSON.stringify({
+    type: 'meta',
+    version: RECORDING_FORMAT_VERSION,
+    startTime: startTime.toISOString(),
+    clients: getConnectedClientInfo(),
+    config: config
+  }) + '\n');
+
+  activeRecording = { file, stream, startTime: startTime.getTime(), messageCount: 0 };
+  debugLog(`Recording started: ${file}`);
+  return file;
+}
+
+function recordMessage(address, args, layout, client) {
+  activeRecording.stream.write(JSON.stringify({
+    t: Date.now() - activeRecording.startTime,
+    address,
+    args,
+    layout: layout || undefined,
+    client: client ? client.ip : null,
+    user: client ? client.user : null
+  }) + '\n');
+  activeRecording.messageCount++;
+}
+
+function stopRecording() {
+  if (!activeRecording) {
+    throw new Error('Not recording');
+  }
+
+  const { file, stream, messageCount } = activeRecording;
+  activeRecording = null;
+  stream.end();
+  debugLog(`Recording stopped: ${file}`, { messages: messageCount });
+  return { file, messageCount };
+}
+
+// Load a recording for playback; stops whatever was playing before
+function loadPlayback(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    throw new Error(`${path.basename(file)} is empty`);
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(lines[0]);
+  } catch (err) {
+    throw new Error(`${path.basename(file)}: unreadable header (${err.message})`);
+  }
+  if (!meta || meta.type !== 'meta' || meta.version !== RECORDING_FORMAT_VERSION) {
+    throw new Error(`${path.basename(file)} is not a version ${RECORDING_FORMAT_VERSION} recording`);
+  }
+
+  const messages = [];
+  lines.slice(1).forEach((line, idx) => {
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry.address === 'string' && Array.isArray(entry.args) && isFinite(entry.t)) {
+        messages.push(entry);
+      }
+    } catch (err) {
+      // A recording cut off mid-write can end in a partial line; skip it
+      debugLog(`Skipping unreadable line ${idx + 2} in ${path.basename(file)}`, err.message, 'WARN');
+    }
+  });
+  messages.sort((a, b) => a.t - b.t);
+
+  stopPlayback();
+  playback.file = file;
+  playback.meta = meta;
+  playback.messages = messages;
+  playback.duration = messages.length > 0 ? messages[messages.length - 1].t : 0;
+  debugLog(`Playback loaded: ${file}`, { messages: messages.length, duration: `${(playback.duration / 1000).toFixed(1)}s` });
+}
+
+function getPlaybackPosition() {
+  if (!playback.playing) return playback.positionAtStart;
+  return Math.min(playback.duration, playback.positionAtStart + (Date.now() - playback.clockStart) * playback.speed);
+}
+
+// Restart the playback clock from a position (ms) and reschedule the next message
+function rebasePlayback(position) {
+  playback.positionAtStart = position;
+  playback.clockStart = Date.now();
+  if (playback.timer) {
+    clearTimeout(playback.timer);
+    playback.timer = null;
+  }
+  if (playback.playing) playbackTick();
+}
+
+// Send every message that is due, then sleep until the next one
+function playbackTick() {
+  playback.timer = null;
+  if (!playback.playing) return;
+
+  const messages = playback.messages;
+  const position = getPlaybackPosition();
+
+  while (playback.index < messages.length && messages[playback.index].t <= position) {
+    const entry = messages[playback.index++];
+    dispatchMessage(entry.address, entry.args, { user: entry.user || null, layout: entry.layout || null });
+  }
+
+  if (playback.index >= messages.length) {
+    if (playback.loop && messages.length > 0) {
+      debugLog('Playback looping to start');
+      playback.index = 0;
+      rebasePlayback(0);
+    } else {
+      playback.playing = false;
+      playback.positionAtStart = playback.duration;
+      debugLog('Playback finished');
+    }
+    return;
+  }
+
+  const wait = (messages[playback.index].t - position) / playback.speed;
+  playback.timer = setTimeout(playbackTick, Math.max(0, wait));
+}
+
+function startPlayback() {
+  if (!playback.file) throw new Error('No recording loaded');
+  if (playback.playing) return;
+
+  // Starting at the end means starting over
+  if (playback.index >= playback.messages.length) {
+    playback.index = 0;
+    playback.positionAtStart = 0;
+  }
+  playback.playing = true;
+  debugLog(`Playback started at ${(playback.positionAtStart / 1000).toFixed(1)}s`, { speed: playback.speed, loop: playback.loop });
+  rebasePlayback(playback.positionAtStart);
+}
+
+function pausePlayback() {
+  if (!playback.playing) return;
+  const position = getPlaybackPosition();
+  playback.playing = false;
+  rebasePlayback(position);
+  debugLog(`Playback paused at ${(position / 1000).toFixed(1)}s`);
+}
+
+// Stop and rewind to the start
+function stopPlayback() {
+  const wasPlaying = playback.playing;
+  playback.playing = false;
+  playback.index = 0;
+  rebasePlayback(0);
+  if (wasPlaying) debugLog('Playback stopped');
+}
+
+function seekPlayback(seconds) {
+  if (!playback.file) throw new Error('No recording loaded');
+  const position = Math.min(playback.duration, Math.max(0, Number(seconds) * 1000));
+  if (!isFinite(position)) throw new Error(`Invalid seek position '${seconds}'`);
+
+  const nextIndex = playback.messages.findIndex(entry => entry.t >= position);
+  playback.index = nextIndex === -1 ? playback.messages.length : nextIndex;
+  rebasePlayback(position);
+  debugLog(`Playback seeked to ${(position / 1000).toFixed(1)}s`);
+}
+
+function setPlaybackLoop(enabled) {
+  playback.loop = Boolean(enabled);
+  debugLog(`Playback loop ${playback.loop ? 'enabled' : 'disabled'}`);
+}
+
+function setPlaybackSpeed(speed) {
+  const value = Number(speed);
+  if (!isFinite(value) || value <= 0 || value > PLAYBACK_MAX_SPEED) {
+    throw new Error(`Playback speed must be greater than 0 and at most ${PLAYBACK_MAX_SPEED}, got '${speed}'`);
+  }
+  const position = getPlaybackPosition();
+  playback.speed = value;
+  rebasePlayback(position);
+  debugLog(`Playback speed set to ${value}x`);
+}
+
+function getRecordingStatus() {
+  return {
+    recording: activeRecording
+      ? { file: activeRecording.file, messages: activeRecording.messageCount, elapsed: `${((Date.now() - activeRecording.startTime) / 1000).toFixed(1)}s` }
+      : null,
+    playback: playback.file
+      ? {
+        file: playback.file,
+        playing: playback.playing,
+        position: `${(getPlaybackPosition() / 1000).toFixed(1)}s`,
+        duration: `${(playback.duration / 1000).toFixed(1)}s`,
+        loop: playback.loop,
+        speed: playback.speed
+      }
+      : null
+  };
+}
+
+// /bridge/record/start [file] and /bridge/record/stop
+function handleRecordCommand(match, args) {
+  try {
+    if (match[1] === 'start') {
+      // Names from the network stay inside recordingsDir
+      startRecording(args.length > 0 ? path.basename(String(args[0])) : null);
+    } else {
+      stopRecording();
+    }
+  } catch (err) {
+    debugLog(`Record command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// /bridge/playback/{load <file>, start, pause, stop, seek <s>, loop <0|1>, speed <x>}
+function handlePlaybackCommand(match, args) {
+  try {
+    switch (match[1]) {
+      case 'load':
+        loadPlayback(resolveRecordingPath(path.basename(String(args[0]))));
+        break;
+      case 'start':
+        startPlayback();
+        break;
+      case 'pause':
+        pausePlayback();
+        break;
+      case 'stop':
+        stopPlayback();
+        break;
+      case 'seek':
+        seekPlayback(args[0]);
+        break;
+      case 'loop':
+        setPlaybackLoop(args.length === 0 || Number(args[0]) !== 0);
+        break;
+      case 'speed':
+        setPlaybackSpeed(args[0]);
+        break;
+    }
+  } catch (err) {
+    debugLog(`Playback command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// --- Calibration ---
+// Each headset boots with its own local-floor origin and forward direction. A calibration maps that space
+// onto the stage and is applied to every pose before it is recorded or sent:
+//   p' = scale * Ry(yaw) * p + offset, with rotations turned by the same yaw
+// Calibrations are kept per user name and saved to calibrationFile, so they survive a server restart.
+const CALIBRATION_FORMAT_VERSION = 1;
+const CALIBRATION_MAX_POINTS = 8;
+const CALIBRATION_POSE_PATTERN = /^\/(hmd|controller\d+)\/pose$/;
+
+// user -> { yaw (degrees), scale, offset: [x, y, z], points: [{ tracked: [x, y, z], stage: [x, z] }], updatedAt }
+let calibrations = {};
+// 'user address' -> { args, layout } of the latest uncalibrated HMD/controller pose, for re-centering and points
+let latestRawPoses = new Map();
+
+function resolveCalibrationPath() {
+  return path.resolve(__dirname, config.calibrationFile);
+}
+
+function isValidCalibration(entry) {
+  return entry && typeof entry === 'object' &&
+    isFinite(entry.yaw) && isFinite(entry.scale) && entry.scale > 0 &&
+    Array.isArray(entry.offset) && entry.offset.length === 3 && entry.offset.every(v => isFinite(v)) &&
+    Array.isArray(entry.points);
+}
+
+function loadCalibrations() {
+  const file = resolveCalibrationPath();
+  calibrations = {};
+  if (!fs.existsSync(file)) return;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data.users !== 'object') throw new Error('missing "users"');
+    Object.keys(data.users).forEach(user => {
+      if (isValidCalibration(data.users[user])) calibrations[user] = data.users[user];
+      else debugLog(`Ignoring invalid calibration for ${user}`, null, 'WARN');
+    });
+    debugLog(`Loaded calibration for ${Object.keys(calibrations).length} user(s)`, { file });
+  } catch (err) {
+    debugLog(`Failed to read calibration file ${file}, starting uncalibrated`, err.message, 'WARN');
+  }
+}
+
+function saveCalibrations() {
+  const file = resolveCalibrationPath();
+  const data = JSON.stringify({ version: CALIBRATION_FORMAT_VERSION, users: calibrations }, null, 2);
+  fs.writeFile(file, data + '\n', (err) => {
+    if (err) debugLog(`Failed to save calibration to ${file}`, err.message, 'ERROR');
+  });
+}
+
+function getCalibration(user) {
+  if (!calibrations[user]) {
+    calibrations[user] = { yaw: 0, scale: 1, offset: [0, 0, 0], points: [], updatedAt: null };
+  }
+  return calibrations[user];
+}
+
+// Remember the raw pose (for re-centering and point capture), then return it in calibrated stage space.
+// Messages without position or rotation fields come back unchanged.
+function calibratePose(address, args, layout, user) {
+  if (CALIBRATION_POSE_PATTERN.test(address)) {
+    latestRawPoses.set(`${user} ${address}`, { args, layout });
+  }
+
+  const calibration = calibrations[user];
+  if (!calibration) return args;
+
+  const out = args.slice();
+  const field = (name) => layout.indexOf(name);
+  const yaw = calibration.yaw * Math.PI / 180;
+
+  if (POSITION_FIELDS.every(name => layout.includes(name))) {
+    const [x, y, z] = POSITION_FIELDS.map(name => args[field(name)]);
+    out[field('x')] = calibration.scale * (Math.cos(yaw) * x + Math.sin(yaw) * z) + calibration.offset[0];
+    out[field('y')] = calibration.scale * y + calibration.offset[1];
+    out[field('z')] = calibration.scale * (-Math.sin(yaw) * x + Math.cos(yaw) * z) + calibration.offset[2];
+  }
+
+  if (QUATERNION_FIELDS.every(name => layout.includes(name))) {
+    // Yaw quaternion (0, sin(yaw/2), 0, cos(yaw/2)) times the pose's rotation
+    const [qx, qy, qz, qw] = QUATERNION_FIELDS.map(name => args[field(name)]);
+    const s = Math.sin(yaw / 2), c = Math.cos(yaw / 2);
+    out[field('qx')] = c * qx + s * qz;
+    out[field('qy')] = c * qy + s * qw;
+    out[field('qz')] = c * qz - s * qx;
+    out[field('qw')] = c * qw - s * qy;
+  }
+
+  LENGTH_FIELDS.forEach(name => {
+    if (layout.includes(name)) out[field(name)] = args[field(name)] * calibration.scale;
+  });
+
+  // Velocities turn with the yaw; linear ones also scale
+  const turn = ([x, y, z]) => [Math.cos(yaw) * x + Math.sin(yaw) * z, y, -Math.sin(yaw) * x + Math.cos(yaw) * z];
+  return mapVectorFields(out, layout, (v) => turn(v).map(c => c * calibration.scale), turn);
+}
+
+function getRawPosition(user, address) {
+  return getRawFields(user, address, POSITION_FIELDS);
+}
+
+// The named fields of the user's latest message on address; a layout without all of them is refused
+function getRawFields(user, address, fields) {
+  const raw = latestRawPoses.get(`${user} ${address}`);
+  if (!raw) throw new Error(`no ${address} data from ${user} yet (is OSC streaming enabled on the headset?)`);
+  const missing = fields.filter(name => !raw.layout.includes(name));
+  if (missing.length > 0) throw new Error(`${address} from ${user} has no ${missing.join(', ')} (layout: ${raw.layout.join(' ')})`);
+  return fields.map(name => raw.args[raw.layout.indexOf(name)]);
+}
+
+// Make the user's current HMD position (on the floor) and heading the origin and forward direction
+function recenterCalibration(user) {
+  const [x, , z] = getRawPosition(user, '/hmd/pose');
+  const quat = getRawFields(user, '/hmd/pose', QUATERNION_FIELDS);
+  const yaw = -matrixToEuler(quaternionToMatrix(...quat), 'YXZ').Y;
+
+  const calibration = getCalibration(user);
+  calibration.yaw = yaw * 180 / Math.PI;
+  calibration.scale = 1;
+  calibration.offset = [-(Math.cos(yaw) * x + Math.sin(yaw) * z), 0, -(-Math.sin(yaw) * x + Math.cos(yaw) * z)];
+  calibration.updatedAt = new Date().toISOString();
+  saveCalibrations();
+
+  return `Re-centered ${user} (heading ${(-calibration.yaw).toFixed(1)}°)`;
+}
+
+// Capture where controller N is now as the stage floor point (stageX, stageZ)
+function addCalibrationPoint(user, stageX, stageZ, controller = 0) {
+  if (!isFinite(stageX) || !isFinite(stageZ)) throw new Error('stage point needs numeric x and z (meters)');
+  const tracked = getRawPosition(user, `/controller${controller}/pose`);
+
+  const calibration = getCalibration(user);
+  calibration.points.push({ tracked, stage: [Number(stageX), Number(stageZ)] });
+  if (calibration.points.length > CALIBRATION_MAX_POINTS) calibration.points.shift();
+  saveCalibrations();
+
+  return `Point ${calibration.points.length} for ${user}: tracked (${tracked[0].toFixed(3)}, ${tracked[2].toFixed(3)}) → stage (${Number(stageX).toFixed(3)}, ${Number(stageZ).toFixed(3)})`;
+}
+
+// Least-squares similarity transform (yaw, uniform scale, translation on the floor) from the captured points
+function solveCalibration(user) {
+  const calibration = getCalibration(user);
+  const points = calibration.points;
+  if (points.length < 2) throw new Error(`${user} has ${points.length} calibration point(s), need at least 2`);
+
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const trackedCenter = [mean(points.map(p => p.tracked[0])), mean(points.map(p => p.tracked[2]))];
+  const stageCenter = [mean(points.map(p => p.stage[0])), mean(points.map(p => p.stage[1]))];
+
+  // In the x/z plane: stage = scale * R(theta) * tracked + t, with R(theta) = [[cos, -sin], [sin, cos]]
+  let dot = 0, cross = 0, spread = 0;
+  points.forEach(p => {
+    const tx = p.tracked[0] - trackedCenter[0], tz = p.tracked[2] - trackedCenter[1];
+    const sx = p.stage[0] - stageCenter[0], sz = p.stage[1] - stageCenter[1];
+    dot += tx * sx + tz * sz;
+    cross += tx * sz - tz * sx;
+    spread += tx * tx + tz * tz;
+  });
+  if (spread < 1e-6) throw new Error('calibration points are too close together');
+
+  const theta = Math.atan2(cross, dot);
+  const scale = Math.hypot(dot, cross) / spread;
+  const cos = Math.cos(theta), sin = Math.sin(theta);
+
+  // Ry(yaw) turns (x, z) by -yaw in this plane, so yaw = -theta
+  calibration.yaw = -theta * 180 / Math.PI;
+  calibration.scale = scale;
+  calibration.offset = [
+    stageCenter[0] - scale * (cos * trackedCenter[0] - sin * trackedCenter[1]),
+    0,
+    stageCenter[1] - scale * (sin * trackedCenter[0] + cos * trackedCenter[1])
+  ];
+  calibration.updatedAt = new Date().toISOString();
+  saveCalibrations();
+
+  const residuals = points.map(p => {
+    const x = scale * (cos * p.tracked[0] - sin * p.tracked[2]) + calibration.offset[0];
+    const z = scale * (sin * p.tracked[0] + cos * p.tracked[2]) + calibration.offset[2];
+    return Math.hypot(x - p.stage[0], z - p.stage[1]);
+  });
+  const rms = Math.sqrt(mean(residuals.map(r => r * r)));
+
+  return `Calibrated ${user} from ${points.length} points: yaw ${calibration.yaw.toFixed(1)}°, scale ${scale.toFixed(4)}, error ${(rms * 1000).toFixed(1)} mm RMS`;
+}
+
+function resetCalibration(user) {
+  delete calibrations[user];
+  saveCalibrations();
+  return `Calibration cleared for ${user}`;
+}
+
+// Commands name a user, or apply to every connected headset
+function resolveCalibrationUsers(user) {
+  if (user) return [String(user)];
+  const users = Array.from(getTakenUserNames(null));
+  if (users.length === 0) throw new Error('no headsets connected');
+  return users;
+}
+
+// Run a calibration action for each target user; results go to the log and to that user's headset
+function runCalibration(action, user, params = []) {
+  return resolveCalibrationUsers(user).map(name => {
+    let message;
+    let ok = true;
+    try {
+      switch (action) {
+        case 'recenter': message = recenterCalibration(name); break;
+        case 'point': message = addCalibrationPoint(name, params[0], params[1], params.length > 2 ? Number(params[2]) : 0); break;
+        case 'solve': message = solveCalibration(name); break;
+        case 'reset': message = resetCalibration(name); break;
+        default: throw new Error(`unknown calibration action '${action}'`);
+      }
+    } catch (err) {
+      ok = false;
+      message = `Calibration ${action} failed for ${name}: ${err.message}`;
+    }
+    debugLog(message, null, ok ? 'INFO' : 'WARN');
+    notifyUser(name, { type: 'calibration', action, ok, message });
+    // Zones are drawn through the calibration, so the headset needs them again
+    wss.clients.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN && ws.clientInfo && ws.clientInfo.user === name) sendStage(ws);
+    });
+    return message;
+  });
+}
+
+// /bridge/calibrate/{recenter [user], point <stageX> <stageZ> [controller] [user], solve [user], reset [user]}
+function handleCalibrateCommand(match, args) {
+  const user = args.find(arg => typeof arg === 'string' && isNaN(parseFloat(arg)));
+  const params = args.filter(arg => arg !== user).map(Number);
+  try {
+    runCalibration(match[1], user, params);
+  } catch (err) {
+    debugLog(`Calibration command failed: ${match[0]}`, err.message, 'WARN');
+  }
+}
+
+// --- Console commands ---
+// Typed into the server's terminal; each gets the words after the command name
+const CONSOLE_COMMANDS = {
+  record: {
+    usage: 'record start [file] | record stop',
+    description: 'Record incoming messages',
+    run: (args) => {
+      if (args[0] === 'start') console.log(`Recording to ${startRecording(args[1] || null)}`);
+      else if (args[0] === 'stop') console.log(`Recorded ${stopRecording().messageCount} messages`);
+      else throw new Error('Usage: record start [file] | record stop');
+    }
+  },
+  play: {
+    usage: 'play [file]',
+    description: 'Load a recording (optional) and start playback',
+    run: (args) => {
+      if (args[0]) loadPlayback(resolvePlaybackPath(args[0]));
+      startPlayback();
+    }
+  },
+  pause: { usage: 'pause', description: 'Pause playback', run: () => pausePlayback() },
+  stop: { usage: 'stop', description: 'Stop playback and rewind', run: () => stopPlayback() },
+  seek: { usage: 'seek <seconds>', description: 'Jump to a position in the recording', run: (args) => seekPlayback(args[0]) },
+  loop: { usage: 'loop on|off', description: 'Loop playback', run: (args) => setPlaybackLoop(args[0] !== 'off') },
+  speed: { usage: 'speed <factor>', description: 'Playback speed, e.g. 0.5 or 2', run: (args) => setPlaybackSpeed(args[0]) },
+  status: { usage: 'status', description: 'Show recording and playback state', run: () => console.log(JSON.stringify(getRecordingStatus(), null, 2)) },
+  filter: {
+    usage: 'filter [<name> <channel> <param> <value>]',
+    description: 'Show filters, or change one, e.g. filter hands position beta 0.5',
+    run: (args) => {
+      if (args.length > 0) {
+        if (args.length < 4) throw new Error('usage: filter <name> <channel> <param> <value>');
+        setFilterParameter(args[0], args[1], args[2], args[3]);
+      }
+      if (filterRules.length === 0) console.log('No filters configured');
+      filterRules.forEach(rule => {
+        console.log(`${rule.name} (${config.filters[rule.name].match}): position ${describeFilter(rule.position)}, rotation ${describeFilter(rule.rotation)}`);
+      });
+    }
+  },
+  zone: {
+    usage: 'zone [<name> <shape> <numbers...> | <name> remove]',
+    description: 'Show zones (as config JSON), or set/remove one, e.g. zone stage box 0 1 -2 4 2 3',
+    run: (args) => {
+      if (args.length === 1) throw new Error('usage: zone <name> <shape> <numbers...> | zone <name> remove');
+      if (args[1] === 'remove') removeZone(args[0]);
+      else if (args.length > 1) setZone(args[0], zoneFromNumbers(args[1], args.slice(2).map(Number)));
+
+      const defs = {};
+      zones.forEach(zone => { defs[zone.name] = zone.def; });
+      console.log(JSON.stringify({ zones: defs }, null, 2));
+      zones.forEach(zone => {
+        if (zone.occupants.size > 0) {
+          console.log(`${zone.name}: ${Array.from(zone.occupants.values()).map(o => `${o.user} ${o.device}`).join(', ')}`);
+        }
+      });
+    }
+  },
+  plane: {
+    usage: 'plane [<name> <x> <y> <z> <yaw> <pitch> <roll> <width> <height> | <name> remove]',
+    description: 'Show planes (as config JSON), or set/remove one, e.g. plane screen1 0 1.5 -3 0 0 0 4 2.25',
+    run: (args) => {
+      if (args.length === 1) throw new Error('usage: plane <name> <x> <y> <z> <yaw> <pitch> <roll> <width> <height> | plane <name> remove');
+      if (args[1] === 'remove') removePlane(args[0]);
+      else if (args.length > 1) setPlane(args[0], planeFromNumbers(args.slice(1).map(Number)));
+
+      const defs = {};
+      planes.forEach(plane => { defs[plane.name] = plane.def; });
+      console.log(JSON.stringify({ planes: defs }, null, 2));
+    }
+  },
+  motion: {
+    usage: 'motion [<feature> on|off]',
+    description: 'Show or toggle velocity, speed, acceleration, angular-velocity, jerk',
+    run: (args) => {
+      if (args[0]) setMotionFeature(args[0], args[1] !== 'off');
+      console.log(`Motion features: ${Array.from(motionFeatures).join(', ') || 'none'} (for ${config.motion.match})`);
+    }
+  },
+  calibrate: {
+    usage: 'calibrate <action> [user]',
+    description: 'recenter, point <x> <z> [controller], solve, reset or status',
+    run: (args) => {
+      if (args[0] === 'point') {
+        // calibrate point <stageX> <stageZ> [controller] [user]
+        const numbers = args.slice(1).filter(arg => !isNaN(parseFloat(arg)));
+        const user = args.slice(1).find(arg => isNaN(parseFloat(arg)));
+        runCalibration('point', user, numbers.map(Number)).forEach(line => console.log(line));
+      } else if (args[0] === 'status') {
+        console.log(JSON.stringify(calibrations, null, 2));
+      } else if (['recenter', 'solve', 'reset'].includes(args[0])) {
+        runCalibration(args[0], args[1]).forEach(line => console.log(line));
+      } else {
+        throw new Error('Usage: calibrate recenter|point <x> <z> [controller]|solve|reset|status [user]');
+      }
+    }
+  },
+  pair: {
+    usage: 'pair [new|revoke]',
+    description: 'Show the pairing code, replace it, or revoke all paired headsets',
+    run: (args) => {
+      if (args[0] === 'new') renewPairingCode();
+      else if (args[0] === 'revoke') console.log(`Pairing secret replaced, ${revokePairings()} headset(s) disconnected`);
+      else if (args[0]) throw new Error('Usage: pair [new|revoke]');
+      console.log(securitySettings.pairing ? `Pairing code: ${pairingCode}` : 'Pairing is off (security.pairing in the config)');
+    }
+  },
+  help: {
+    usage: 'help',
+    description: 'List commands',
+    run: () => Object.values(CONSOLE_COMMANDS).forEach(command => console.log(`  ${command.usage.padEnd(36)}${command.description}`))
+  }
 };
-let oscMessageCount = 0;
-let oscErrorCount = 0;
-let lastOSCError = null;
 
-// Performance tracking
-let messageStats = {
-  hmd: { count: 0, lastTime: 0 },
-  controller0: { count: 0, lastTime: 0 },
-  controller1: { count: 0, lastTime: 0 }
-};
+function initConsoleCommands() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+  rl.on('line', (line) => {
+    const [name, ...args] = line.trim().split(/\s+/);
+    if (!name) return;
+
+    const command = CONSOLE_COMMANDS[name.toLowerCase()];
+    if (!command) {
+      console.log(`Unknown command '${name}' (type 'help')`);
+      return;
+    }
+    try {
+      command.run(args);
+    } catch (err) {
+      console.log(`${name}: ${err.message}`);
+    }
+  });
+}
+
+// --- Frames and clock sync ---
+// app.js sends each XR frame as {type: 'frame', timestamp, messages: [{address, args, layout?}, ...]}.
+// A frame goes out as one OSC bundle per destination, time-tagged with the frame's time on the server's clock.
+// It may carry up to MAX_FRAME_MESSAGES messages.
+
+// Clock sync: the server sends its time, the headset echoes it with its own. The offset is taken at the
+// midpoint of the round trip and kept from the lowest-RTT sample of the last CLOCK_SYNC_SAMPLES,
+// since a quick round trip bounds the error best.
+const CLOCK_SYNC_INTERVAL_MS = 2000;
+const CLOCK_SYNC_BURST = 5;            // Samples taken right after connecting, CLOCK_SYNC_BURST_GAP_MS apart
+const CLOCK_SYNC_BURST_GAP_MS = 100;
+const CLOCK_SYNC_SAMPLES = 16;
+const CLOCK_SYNC_MAX_RTT_MS = 1000;
+
+// Milliseconds since the epoch with sub-millisecond resolution
+function nowMs() {
+  return performance.timeOrigin + performance.now();
+}
+
+function sendClockSync(ws) {
+  sendToClient(ws, { type: 'clockSync', serverTime: nowMs() });
+}
+
+function startClockSync(ws) {
+  for (let i = 0; i < CLOCK_SYNC_BURST; i++) {
+    setTimeout(() => sendClockSync(ws), i * CLOCK_SYNC_BURST_GAP_MS);
+  }
+}
+
+// {type: 'clockSync', serverTime, clientTime} - the headset's echo of a sync message
+function handleClockSync(ws, msg) {
+  const rtt = nowMs() - Number(msg.serverTime);
+  const clientTime = Number(msg.clientTime);
+  if (!isFinite(rtt) || rtt < 0 || rtt > CLOCK_SYNC_MAX_RTT_MS || !isFinite(clientTime)) return;
+
+  const clock = ws.clientInfo.clock;
+  clock.samples.push({ rtt, offset: Number(msg.serverTime) + rtt / 2 - clientTime });
+  if (clock.samples.length > CLOCK_SYNC_SAMPLES) clock.samples.shift();
+
+  const best = clock.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  if (clock.offset === null) {
+    debugLog(`Clock synced with ${ws.clientInfo.user || ws.clientInfo.ip}`, { offsetMs: best.offset.toFixed(1), rttMs: best.rtt.toFixed(1) });
+  }
+  clock.offset = best.offset;
+  clock.rtt = best.rtt;
+}
+
+// A headset timestamp on the server's clock; before the first sync, the time it arrived
+function toServerTime(client, timestamp) {
+  const time = Number(timestamp);
+  if (!isFinite(time) || client.clock.offset === null) return nowMs();
+  return time + client.clock.offset;
+}
+
+function handleFrame(ws, msg) {
+  if (!Array.isArray(msg.messages) || msg.messages.length > MAX_FRAME_MESSAGES) {
+    debugLog('Invalid frame received', { messages: Array.isArray(msg.messages) ? msg.messages.length : typeof msg.messages }, 'WARN');
+    return;
+  }
+
+  ensureClientUser(ws);
+  const timeMs = toServerTime(ws.clientInfo, msg.timestamp);
+
+  sendBundled(timeMs, () => {
+    msg.messages.forEach(message => {
+      if (message && typeof message === 'object') handleOSCMessage(message, ws.clientInfo, timeMs);
+    });
+  });
+}
+
+// --- Binary protocol ---
+// Headsets negotiate the wire format through the WebSocket subprotocol. With WS_PROTOCOL_BINARY, control
+// messages stay JSON text and frames are binary (little-endian):
+//   u16 magic 'WX' | u8 version | u8 type | f64 timestamp (ms, headset clock) | u16 message count
+//   then per message: u16 schema id | float32 per arg
+// A schema is registered with {type: 'schema', id, address, argCount, layout?} before its first use.
+const WS_PROTOCOL_JSON = 'webxr-osc-json';
+const WS_PROTOCOL_BINARY = 'webxr-osc-binary-1';
+const BINARY_MAGIC = 0x5857; // 'WX'
+const BINARY_VERSION = 1;
+const BINARY_TYPE_FRAME = 1;
+const BINARY_HEADER_BYTES = 14;
+const MAX_SCHEMAS = 1024;
+const MAX_SCHEMA_ARGS = 64;
+
+// Size limits per protocol: JSON frames are much larger than the same frame in binary
+const WS_MESSAGE_LIMITS = {
+  [WS_PROTOCOL_JSON]: { text: 64 * 1024, binary: 0 },
+  [WS_PROTOCOL_BINARY]: { text: 4 * 1024, binary: 16 * 1024 }
+};
+
+// Pick the headset's wire format from the subprotocols it offers; clients offering none speak JSON
+function selectProtocol(protocols) {
+  if (config.binaryProtocol && protocols.has(WS_PROTOCOL_BINARY)) return WS_PROTOCOL_BINARY;
+  if (protocols.has(WS_PROTOCOL_JSON)) return WS_PROTOCOL_JSON;
+  return false;
+}
+
+function getMessageLimits(ws) {
+  return WS_MESSAGE_LIMITS[ws.protocol] || WS_MESSAGE_LIMITS[WS_PROTOCOL_JSON];
+}
+
+// {type: 'schema', id, address, argCount, layout?} - what a schema id stands for in binary frames
+function handleSchema(ws, msg) {
+  const { id, address, argCount, layout } = msg;
+  const schemas = ws.clientInfo.schemas;
+
+  if (!Number.isInteger(id) || id < 0 || id > 0xffff ||
+      typeof address !== 'string' || !address.startsWith('/') || address.length > 256 ||
+      !Number.isInteger(argCount) || argCount < 0 || argCount > MAX_SCHEMA_ARGS ||
+      (layout !== undefined && (!isValidLayout(layout) || layout.length !== argCount))) {
+    debugLog('Invalid schema registration', { id, address, argCount }, 'WARN');
+    return;
+  }
+  if (!schemas.has(id) && schemas.size >= MAX_SCHEMAS) {
+    debugLog(`Too many schemas from ${ws.clientInfo.ip}, ignoring ${address}`, null, 'WARN');
+    return;
+  }
+
+  schemas.set(id, layout ? { address, argCount, layout } : { address, argCount });
+}
+
+// The message count in a binary frame's header, so it can be rate limited before it is decoded
+function peekBinaryFrameCount(buffer) {
+  return buffer.length >= BINARY_HEADER_BYTES ? Math.max(1, buffer.readUInt16LE(12)) : 1;
+}
+
+// Decode a binary frame into the same { timestamp, messages } shape as a JSON frame
+function decodeBinaryFrame(buffer, schemas) {
+  if (buffer.length < BINARY_HEADER_BYTES) throw new Error('frame is shorter than its header');
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (view.getUint16(0, true) !== BINARY_MAGIC) throw new Error('bad magic number');
+  if (view.getUint8(2) !== BINARY_VERSION) throw new Error(`unsupported version ${view.getUint8(2)}`);
+  if (view.getUint8(3) !== BINARY_TYPE_FRAME) throw new Error(`unknown message type ${view.getUint8(3)}`);
+
+  const timestamp = view.getFloat64(4, true);
+  const count = view.getUint16(12, true);
+  if (count > MAX_FRAME_MESSAGES) throw new Error(`${count} messages in one frame`);
+
+  const messages = [];
+  let offset = BINARY_HEADER_BYTES;
+  for (let i = 0; i < count; i++) {
+    if (offset + 2 > buffer.length) throw new Error('frame is truncated');
+    const id = view.getUint16(offset, true);
+    const schema = schemas.get(id);
+    offset += 2;
+    if (!schema) throw new Error(`unknown schema id ${id}`);
+    if (offset + schema.argCount * 4 > buffer.length) throw new Error('frame is truncated');
+
+    const args = [];
+    for (let j = 0; j < schema.argCount; j++, offset += 4) {
+      args.push(view.getFloat32(offset, true));
+    }
+    messages.push(schema.layout ? { address: schema.address, args, layout: schema.layout } : { address: schema.address, args });
+  }
+  if (offset !== buffer.length) throw new Error('unexpected bytes after the last message');
+
+  return { timestamp, messages };
+}
+
+// --- Users (multi-headset) ---
+// Each WebSocket client gets a user name: the one typed into index.html, or userN assigned here.
+// Assigned names are kept per browser clientId while the server runs, so a reconnecting headset keeps its name.
+let assignedUserNames = new Map(); // clientId -> assigned name
+let nextUserNumber = 1;
+
+// Names end up inside OSC addresses, so only letters, digits, '-' and '_' survive
+function sanitizeUserName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name.trim().replace(/\s+/g, '-').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  return cleaned || null;
+}
+
+// Names held by connected clients other than this one
+function getTakenUserNames(exceptWs) {
+  return new Set(Array.from(wss.clients)
+    .filter(client => client !== exceptWs && client.readyState === WebSocket.OPEN && client.clientInfo && client.clientInfo.user)
+    .map(client => client.clientInfo.user));
+}
+
+// Pick a client's name: the requested one (suffixed if another headset has it), its earlier assignment, or a new userN
+function resolveUserName(ws, requestedName, clientId) {
+  const taken = getTakenUserNames(ws);
+  const name = sanitizeUserName(requestedName);
+
+  if (name) {
+    let candidate = name;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${name}-${n}`;
+    return candidate;
+  }
+
+  const previous = clientId ? assignedUserNames.get(clientId) : null;
+  if (previous && !taken.has(previous)) return previous;
+
+  let candidate;
+  do {
+    candidate = `user${nextUserNumber++}`;
+  } while (taken.has(candidate));
+  if (clientId) assignedUserNames.set(clientId, candidate);
+  return candidate;
+}
+
+function countActiveUsers() {
+  return getTakenUserNames(null).size;
+}
+
+// /users/joined and /users/left carry [name, number of users]
+function emitUserEvent(event, name) {
+  debugLog(`User ${event}: ${name}`);
+  sendOSC(`/users/${event}`, [name, countActiveUsers()]);
+}
+
+function setClientUser(ws, name) {
+  const info = ws.clientInfo;
+  if (info.user === name) return;
+
+  // A rename is a leave under the old name and a join under the new one
+  if (info.user) {
+    const oldName = info.user;
+    info.user = null;
+    releaseZoneUser(oldName);
+    emitUserEvent('left', oldName);
+  }
+  info.user = name;
+  emitUserEvent('joined', name);
+  sendWelcome(ws);
+  sendStage(ws);
+}
+
+// The client's user name and namespace, and the transmission settings it applies before sending
+function sendWelcome(ws) {
+  const name = ws.clientInfo.user;
+  sendToClient(ws, {
+    type: 'welcome',
+    user: name,
+    namespace: config.userNamespaces ? `/user/${name}` : '',
+    transmission: config.transmission
+  });
+}
+
+// {type: 'hello', clientId, name, token?} - sent by app.js on connect and whenever the name field changes.
+// With pairing on, the first hello has to carry a token issued to this clientId.
+function handleHello(ws, msg) {
+  const clientId = typeof msg.clientId === 'string' ? msg.clientId.slice(0, 64) : null;
+  ws.clientInfo.clientId = clientId;
+
+  if (!ws.clientInfo.authenticated) {
+    const problem = verifyPairingToken(msg.token, clientId);
+    if (problem) {
+      if (msg.token !== undefined) auditLog('token-rejected', ws.clientInfo, { reason: problem });
+      requirePairing(ws, problem);
+      return;
+    }
+    authenticateClient(ws, 'token');
+  }
+  setClientUser(ws, resolveUserName(ws, msg.name, clientId));
+}
+
+// Clients that never say hello get a name on their first data message
+function ensureClientUser(ws) {
+  if (!ws.clientInfo.user) {
+    setClientUser(ws, resolveUserName(ws, null, null));
+  }
+}
+
+// Control messages from the headset carry a "type"; plain {address, args} messages are tracking data
+function handleClientMessage(ws, msg) {
+  if (!PAIRING_OPEN_MESSAGE_TYPES.includes(msg.type) && !isClientAuthenticated(ws, msg.type)) return;
+
+  switch (msg.type) {
+    case 'hello':
+      handleHello(ws, msg);
+      break;
+    case 'pair':
+      handlePair(ws, msg);
+      break;
+    case 'frame':
+      handleFrame(ws, msg);
+      break;
+    case 'clockSync':
+      handleClockSync(ws, msg);
+      break;
+    case 'schema':
+      handleSchema(ws, msg);
+      break;
+    case 'calibrate':
+      // The headset's re-center gesture; only re-centering is offered from the headset itself
+      ensureClientUser(ws);
+      runCalibration('recenter', ws.clientInfo.user);
+      break;
+    default:
+      debugLog('Unknown client message type', { type: msg.type }, 'WARN');
+  }
+}
+
+// --- Headset security ---
+// With security.pairing, a headset is only served once its hello carries a token the server signed
+// (HMAC-SHA256 with the key in secretFile). It gets one by sending the current one-time pairing code, shown in
+// the server console. Until then only hello and pair are accepted, and the headset gets neither the OSC destinations
+// nor clock sync. Whether or not pairing is on,
+// every headset is rate limited and its messages are checked against CLIENT_ADDRESS_SCHEMA.
+// Tokens are base64url(JSON { cid, iat, exp }) + '.' + base64url(signature), cid being the browser's clientId.
+const PAIRING_CODE_DIGITS = 6;
+const PAIRING_MAX_FAILURES = 5;              // Wrong codes from one IP before it is locked out
+const PAIRING_LOCKOUT_MS = 10 * 60 * 1000;   // Also how long an IP's earlier wrong codes are remembered
+const PAIRING_MAX_CODE_FAILURES = 20;        // Wrong codes from all IPs together before the code is replaced
+const PAIRING_MAX_TRACKED_IPS = 1000;
+const PAIRING_TIMEOUT_MS = 2 * 60 * 1000;    // Unpaired connections are closed after this long
+const PAIRING_OPEN_MESSAGE_TYPES = ['hello', 'pair'];
+const PAIRING_MAX_TOKEN_LENGTH = 1024;
+const WS_CLOSE_PAIRING_REQUIRED = 4001;
+const AUDIT_REPEAT_MS = 10000;               // The same rejection (event, IP and address) is written once per window
+const AUDIT_MAX_KEYS = 1000;
+
+// Everything app.js sends, with the argument counts it sends them with; other addresses are dropped
+const CLIENT_ADDRESS_SCHEMA = [
+  { pattern: /^\/hmd\/pose$/, args: [7, 13] },         // Pose, then linear and angular velocity if the browser has them
+  { pattern: /^\/controller[01]\/pose$/, args: [8, 14] }, // The same plus the button flag
+  { pattern: /^\/controller[01]\/aim$/, args: [7, 7] },
+  { pattern: /^\/controller[01]\/(trigger|squeeze)$/, args: [3, 3] },
+  { pattern: /^\/controller[01]\/(thumbstick|touchpad)$/, args: [4, 4] },
+  { pattern: /^\/controller[01]\/axes$/, args: [1, 16] },
+  { pattern: /^\/controller[01]\/button\/[a-z0-9]+$/, args: [3, 3] },
+  { pattern: /^\/controller[01]\/button\/[a-z0-9]+\/(down|up|long-press|double-tap)$/, args: [1, 1] },
+  { pattern: /^\/controller[01]\/chord\/[a-z0-9+]+\/down$/, args: [0, 0] },
+  { pattern: /^\/controller[01]\/chord\/[a-z0-9+]+\/up$/, args: [1, 1] },
+  { pattern: /^\/hand\/(left|right)\/joint\/[a-z-]+$/, args: [8, 8] },
+  { pattern: /^\/hand\/(left|right)\/pinch$/, args: [3, 3] },
+  { pattern: /^\/hand\/(left|right)\/pinch\/(start|end)$/, args: [1, 1] }
+];
+
+let securitySettings = null;     // config.security with defaults and compiled extraAddresses
+let pairingSecret = null;        // { path, key } - the token signing key
+let pairingCode = null;          // The current one-time code, replaced once used
+let pairingCodeFailures = 0;     // Wrong guesses at the current code, from any IP
+let pairingFailures = new Map(); // ip -> { count, lockedUntil, time }
+let auditRepeats = new Map();    // 'event ip address' -> { time, count }
+
+function applySecurityConfig() {
+  const settings = { ...DEFAULT_CONFIG.security, ...config.security };
+  securitySettings = {
+    ...settings,
+    rateLimit: { ...DEFAULT_CONFIG.security.rateLimit, ...settings.rateLimit },
+    extraAddresses: settings.extraAddresses.map(entry => ({ pattern: compileAddressPattern(entry.match), args: entry.args }))
+  };
+  if (!securitySettings.pairing) {
+    // Headsets still waiting to pair are let in when pairing is switched off
+    wss.clients.forEach(ws => {
+      if (ws.clientInfo && !ws.clientInfo.authenticated) authenticateClient(ws, 'pairing switched off');
+    });
+    return;
+  }
+
+  loadPairingSecret();
+  if (!pairingCode) pairingCode = createPairingCode();
+}
+
+function resolveSecretPath() {
+  return path.resolve(__dirname, securitySettings.secretFile);
+}
+
+// Read the signing key, or create it on first use. Without a usable file the key only lives in memory,
+// so tokens issued now stop working after a restart.
+function loadPairingSecret() {
+  const secretPath = resolveSecretPath();
+  if (pairingSecret && pairingSecret.path === secretPath) return;
+
+  if (fs.existsSync(secretPath)) {
+    try {
+      const key = Buffer.from(fs.readFileSync(secretPath, 'utf8').trim(), 'hex');
+      if (key.length < 32) throw new Error('expected at least 32 bytes, hex encoded');
+      pairingSecret = { path: secretPath, key };
+      debugLog(`Loaded pairing secret from ${secretPath}`);
+      return;
+    } catch (err) {
+      debugLog(`Invalid pairing secret in ${secretPath}, using a temporary one`, err.message, 'ERROR');
+      pairingSecret = { path: secretPath, key: crypto.randomBytes(32) };
+      return;
+    }
+  }
+  writePairingSecret(secretPath, crypto.randomBytes(32));
+}
+
+function writePairingSecret(secretPath, key) {
+  pairingSecret = { path: secretPath, key };
+  try {
+    fs.writeFileSync(secretPath, key.toString('hex') + '\n', { mode: 0o600 });
+    debugLog(`Pairing secret written to ${secretPath}`);
+  } catch (err) {
+    debugLog(`Failed to write pairing secret to ${secretPath}, tokens will not survive a restart`, err.message, 'WARN');
+  }
+}
+
+// Every new code starts a fresh PAIRING_MAX_CODE_FAILURES budget
+function createPairingCode() {
+  pairingCodeFailures = 0;
+  return String(crypto.randomInt(0, 10 ** PAIRING_CODE_DIGITS)).padStart(PAIRING_CODE_DIGITS, '0');
+}
+
+// Replace the one-time code, e.g. after it was shown to someone who should not pair
+function renewPairingCode() {
+  if (!securitySettings.pairing) throw new Error('pairing is off (security.pairing in the config)');
+  pairingCode = createPairingCode();
+  return pairingCode;
+}
+
+// Invalidate every token issued so far: new signing key, and paired headsets are disconnected
+function revokePairings() {
+  if (!securitySettings.pairing) throw new Error('pairing is off (security.pairing in the config)');
+  writePairingSecret(resolveSecretPath(), crypto.randomBytes(32));
+  pairingCode = createPairingCode();
+
+  let closed = 0;
+  wss.clients.forEach(ws => {
+    if (!ws.clientInfo || !ws.clientInfo.authenticated) return;
+    ws.close(WS_CLOSE_PAIRING_REQUIRED, 'pairing revoked');
+    closed++;
+  });
+  auditLog('pairings-revoked', null, { disconnected: closed }, 'INFO');
+  return closed;
+}
+
+function signPairingToken(clientId) {
+  const issuedAt = Date.now();
+  const payload = { cid: clientId, iat: issuedAt, exp: issuedAt + securitySettings.tokenTtlDays * 24 * 60 * 60 * 1000 };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${crypto.createHmac('sha256', pairingSecret.key).update(body).digest('base64url')}`;
+}
+
+// Why a token does not let this clientId in, or null if it does
+function verifyPairingToken(token, clientId) {
+  if (token === undefined || token === null) return 'not paired';
+  if (typeof token !== 'string' || token.length > PAIRING_MAX_TOKEN_LENGTH || token.split('.').length !== 2) return 'invalid token';
+
+  const [body, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', pairingSecret.key).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'invalid token';
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (err) {
+    return 'invalid token';
+  }
+  if (!payload || !clientId || payload.cid !== clientId) return 'token was issued to another headset';
+  if (!(payload.exp > Date.now())) return 'token expired';
+  return null;
+}
+
+// Tell the headset to show its pairing code field
+function requirePairing(ws, reason) {
+  sendToClient(ws, { type: 'pairingRequired', reason });
+}
+
+function authenticateClient(ws, method) {
+  const info = ws.clientInfo;
+  info.authenticated = true;
+  clearTimeout(info.pairingTimer);
+  info.pairingTimer = null;
+  debugLog(`Headset ${info.ip} authenticated by ${method}`, { clientId: info.clientId });
+  confirmConnection(ws);
+}
+
+// Unpaired connections get PAIRING_TIMEOUT_MS to pair before they are closed
+function startPairingTimeout(ws) {
+  ws.clientInfo.pairingTimer = setTimeout(() => {
+    if (ws.clientInfo.authenticated) return;
+    auditLog('pairing-timeout', ws.clientInfo);
+    ws.close(WS_CLOSE_PAIRING_REQUIRED, 'pairing required');
+  }, PAIRING_TIMEOUT_MS);
+}
+
+// {type: 'pair', clientId, code} - the one-time code typed into index.html; answered with a token
+function handlePair(ws, msg) {
+  const info = ws.clientInfo;
+  if (info.authenticated) return;
+
+  const now = Date.now();
+  let failures = pairingFailures.get(info.ip);
+  if (!failures || (failures.lockedUntil <= now && now - failures.time >= PAIRING_LOCKOUT_MS)) {
+    failures = { count: 0, lockedUntil: 0, time: now };
+  }
+  if (failures.lockedUntil > now) {
+    auditLog('pairing-locked-out', info);
+    requirePairing(ws, `too many wrong codes, try again in ${Math.ceil((failures.lockedUntil - now) / 60000)} min`);
+    return;
+  }
+
+  const clientId = typeof msg.clientId === 'string' ? msg.clientId.slice(0, 64) : null;
+  const code = Buffer.from(typeof msg.code === 'string' ? msg.code.trim() : '');
+  if (!clientId || code.length !== pairingCode.length || !crypto.timingSafeEqual(code, Buffer.from(pairingCode))) {
+    failures.count++;
+    failures.time = now;
+    if (failures.count >= PAIRING_MAX_FAILURES) {
+      failures.count = 0;
+      failures.lockedUntil = now + PAIRING_LOCKOUT_MS;
+    }
+    recordPairingFailure(info.ip, failures, now);
+    auditLog('pairing-failed', info, { lockedOut: failures.lockedUntil > now });
+    requirePairing(ws, 'wrong pairing code');
+
+    // Guesses spread over many IPs each stay under the lockout, so the code itself has a budget too
+    if (++pairingCodeFailures >= PAIRING_MAX_CODE_FAILURES) {
+      pairingCode = createPairingCode();
+      auditLog('pairing-code-replaced', null, { wrongCodes: PAIRING_MAX_CODE_FAILURES });
+      console.log(`🔐 ${PAIRING_MAX_CODE_FAILURES} wrong pairing codes. New pairing code: ${pairingCode}`);
+    }
+    return;
+  }
+
+  pairingFailures.delete(info.ip);
+  info.clientId = clientId;
+  authenticateClient(ws, 'pairing code');
+  auditLog('paired', info, {}, 'INFO');
+  sendToClient(ws, { type: 'paired', token: signPairingToken(clientId) });
+
+  pairingCode = createPairingCode();
+  console.log(`🔐 Headset ${info.ip} paired. Next pairing code: ${pairingCode}`);
+}
+
+// Keep one IP's failures; entries that are neither locked nor recent are dropped once the map is full
+function recordPairingFailure(ip, failures, now) {
+  if (!pairingFailures.has(ip) && pairingFailures.size >= PAIRING_MAX_TRACKED_IPS) {
+    pairingFailures.forEach((entry, entryIp) => {
+      if (entry.lockedUntil <= now && now - entry.time >= PAIRING_LOCKOUT_MS) pairingFailures.delete(entryIp);
+    });
+  }
+  pairingFailures.set(ip, failures);
+}
+
+// Unpaired headsets may only say hello and pair
+function isClientAuthenticated(ws, what) {
+  if (ws.clientInfo.authenticated) return true;
+  auditLog('unauthenticated', ws.clientInfo, { message: String(what).slice(0, 32) });
+  return false;
+}
+
+// Token bucket per headset: messagesPerSecond on average, up to burst at once. Each message costs a token,
+// so a frame costs as many as it carries.
+function allowClientMessage(ws, count = 1) {
+  const { messagesPerSecond, burst } = securitySettings.rateLimit;
+  if (!messagesPerSecond || count <= 0) return true;
+
+  const bucket = ws.clientInfo.rateBucket;
+  const now = Date.now();
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.time) * messagesPerSecond / 1000);
+  bucket.time = now;
+  if (bucket.tokens < count) {
+    auditLog('rate-limited', ws.clientInfo, { messagesPerSecond });
+    return false;
+  }
+  bucket.tokens -= count;
+  return true;
+}
+
+// Why a headset may not send this address with this many arguments, or null if it may
+function checkClientAddress(address, argCount) {
+  if (!securitySettings.allowlist) return null;
+
+  const entries = CLIENT_ADDRESS_SCHEMA.concat(securitySettings.extraAddresses).filter(entry => entry.pattern.test(address));
+  if (entries.length === 0) return 'address not allowed';
+  if (!entries.some(entry => argCount >= entry.args[0] && argCount <= entry.args[1])) {
+    return `expected ${entries.map(entry => entry.args[0] === entry.args[1] ? entry.args[0] : entry.args.join('-')).join(' or ')} args`;
+  }
+  return null;
+}
+
+// Log a rejected (or otherwise security relevant) event and append it to the audit log as a JSON line.
+// Repeats of an event from the same IP and address within AUDIT_REPEAT_MS are only counted; the count goes
+// out with the next one that is written.
+function auditLog(event, client, details = {}, level = 'WARN') {
+  const now = Date.now();
+  const key = `${event} ${client ? client.ip : ''} ${details.address || ''}`;
+  const seen = auditRepeats.get(key);
+  if (seen && now - seen.time < AUDIT_REPEAT_MS) {
+    seen.count++;
+    return;
+  }
+  if (auditRepeats.size >= AUDIT_MAX_KEYS) {
+    auditRepeats.forEach((entry, entryKey) => {
+      if (now - entry.time >= AUDIT_REPEAT_MS) auditRepeats.delete(entryKey);
+    });
+  }
+  auditRepeats.set(key, { time: now, count: 0 });
+
+  const entry = { time: new Date(now).toISOString(), event };
+  if (client) Object.assign(entry, { ip: client.ip, clientId: client.clientId, user: client.user });
+  Object.assign(entry, details);
+  if (seen && seen.count > 0) entry.repeated = seen.count;
+
+  debugLog(`Security: ${event}`, entry, level);
+  if (!securitySettings.auditLog) return;
+  fs.appendFile(path.resolve(__dirname, securitySettings.auditLog), JSON.stringify(entry) + '\n', (err) => {
+    if (err) debugLog('Failed to write the audit log', err.message, 'ERROR');
+  });
+}
+
+// --- Incoming OSC ---
+// Commands received on oscInputPort, matched in order against the address.
+// Each handler gets (regex match, arg values, sender "ip:port").
+const OSC_INPUT_HANDLERS = [
+  { pattern: /^\/controller(\d+)\/haptic$/, handler: handleHapticCommand },
+  { pattern: /^\/bridge\/record\/(start|stop)$/, handler: handleRecordCommand },
+  { pattern: /^\/bridge\/playback\/(load|start|pause|stop|seek|loop|speed)$/, handler: handlePlaybackCommand },
+  { pattern: /^\/bridge\/calibrate\/(recenter|point|solve|reset)$/, handler: handleCalibrateCommand },
+  { pattern: /^\/bridge\/motion\/([a-z-]+)$/, handler: handleMotionCommand },
+  { pattern: /^\/bridge\/filter\/([^/]+)\/([a-z]+)\/([A-Za-z]+)$/, handler: handleFilterCommand },
+  { pattern: /^\/bridge\/zone\/([^/]+)\/(box|sphere|cylinder|polygon|remove)$/, handler: handleZoneCommand },
+  { pattern: /^\/bridge\/plane\/([^/]+)\/(set|remove)$/, handler: handlePlaneCommand }
+];
+
+const HAPTIC_MAX_DURATION_MS = 5000;
+const HAPTIC_DEFAULT_DURATION_MS = 100;
+
+let oscInputPort = null;
+
+// Listen for OSC sent back from the creative apps
+function initOSCInput() {
+  if (!config.oscInputPort) {
+    debugLog('OSC input disabled (oscInputPort is 0)');
+    return;
+  }
+
+  const inputPort = new osc.UDPPort({
+    localAddress: config.oscInputIp,
+    localPort: config.oscInputPort,
+    metadata: true
+  });
+  oscInputPort = inputPort;
+
+  inputPort.on('ready', () => {
+    debugLog(`Listening for incoming OSC on ${config.oscInputIp}:${config.oscInputPort}`);
+  });
+
+  // Messages inside bundles are emitted here too
+  inputPort.on('message', (oscMsg, timeTag, info) => {
+    handleIncomingOSC(oscMsg, info);
+  });
+
+  inputPort.on('error', (err) => {
+    debugLog(`OSC input error on port ${config.oscInputPort}`, err.message, 'ERROR');
+  });
+
+  try {
+    inputPort.open();
+  } catch (err) {
+    debugLog(`Failed to open OSC input port ${config.oscInputPort}`, err.message, 'ERROR');
+    oscInputPort = null;
+  }
+}
+
+function closeOSCInput() {
+  if (!oscInputPort) return;
+  try {
+    oscInputPort.close();
+  } catch (err) {
+    debugLog('Error closing OSC input port', err.message, 'WARN');
+  }
+  oscInputPort = null;
+}
+
+// Dispatch an incoming OSC message to the first handler whose pattern matches its address
+function handleIncomingOSC(oscMsg, info) {
+  const address = oscMsg.address;
+  const args = (oscMsg.args || []).map(arg => arg.value);
+  const sender = info ? `${info.address}:${info.port}` : 'unknown';
+
+  // Anyone who can reach the port could otherwise record, calibrate or move zones
+  const senderIp = info ? info.address.replace(/^::ffff:/, '') : null;
+  if (!securitySettings.oscInputAllow.includes(senderIp)) {
+    auditLog('osc-input-rejected', { ip: senderIp }, { address: address.slice(0, 64) });
+    return;
+  }
+
+  if (config.logOscMessages) {
+    debugLog(`OSC received from ${sender}: ${address}`, { args });
+  }
+
+  for (const { pattern, handler } of OSC_INPUT_HANDLERS) {
+    const match = address.match(pattern);
+    if (match) {
+      handler(match, args, sender);
+      return;
+    }
+  }
+
+  debugLog(`Unhandled incoming OSC address ${address}`, { sender }, 'WARN');
+}
+
+// /controllerN/haptic <intensity 0-1> <durationMs> → played on controller N of every connected headset
+function handleHapticCommand(match, args, sender) {
+  const controller = Number(match[1]);
+  const intensityArg = Number(args[0]);
+  const durationArg = Number(args[1]);
+  const intensity = Math.min(1, Math.max(0, args.length > 0 && isFinite(intensityArg) ? intensityArg : 1));
+  const duration = Math.min(HAPTIC_MAX_DURATION_MS, Math.max(0, args.length > 1 && isFinite(durationArg) ? durationArg : HAPTIC_DEFAULT_DURATION_MS));
+
+  const delivered = broadcastToClients({ type: 'haptic', controller, intensity, duration });
+  if (config.logOscMessages) {
+    debugLog(`Haptic pulse for controller ${controller} from ${sender}`, { intensity, duration, clients: delivered });
+  }
+}
+
+// --- OSCQuery ---
+// Describes every address the bridge sends as an OSCQuery namespace, so apps like TouchDesigner, Chataigne or
+// Vezér can browse it. Served over plain HTTP on oscQueryPort: OSCQuery clients expect the namespace at "/"
+// (where the HTTPS server has the web page) and reject self-signed certificates. Addresses appear as they are
+// first sent, with their user namespace but before any routing rewrite, and go away again with their entry in
+// sentMessages. Values are described in the default rotationFormat and coordinateSystem.
+const OSCQUERY_EXTENSIONS = {
+  ACCESS: true, VALUE: true, RANGE: true, DESCRIPTION: true, LISTEN: true, PATH_ADDED: true, PATH_REMOVED: true
+};
+// Fixed ranges by output field name; positions and other unbounded values have none
+const OSCQUERY_FIELD_RANGES = {
+  value: [0, 1], pressed: [0, 1], touched: [0, 1], button: [0, 1], strength: [0, 1], pinching: [0, 1],
+  u: [0, 1], v: [0, 1], hit: [0, 1], qx: [-1, 1], qy: [-1, 1], qz: [-1, 1], qw: [-1, 1],
+  ax: [-1, 1], ay: [-1, 1], az: [-1, 1]
+};
+// Descriptions by address (without /user/<name>); the first match wins, $1... are its groups.
+// ranges overrides OSCQUERY_FIELD_RANGES for that address.
+const OSCQUERY_DESCRIPTIONS = [
+  { pattern: /^\/hmd\/pose$/, description: 'Headset pose' },
+  { pattern: /^\/controller(\d+)\/pose$/, description: 'Controller $1 grip pose' },
+  { pattern: /^\/controller(\d+)\/aim$/, description: 'Controller $1 aim ray pose, pointing along its -Z axis' },
+  { pattern: /^\/controller(\d+)\/(thumbstick|touchpad)$/, description: 'Controller $1 $2 axes (-1 to 1) and button', ranges: { x: [-1, 1], y: [-1, 1] } },
+  { pattern: /^\/controller(\d+)\/axes$/, description: 'Controller $1 raw gamepad axes' },
+  { pattern: /^\/controller(\d+)\/(trigger|squeeze)$/, description: 'Controller $1 $2' },
+  { pattern: /^\/controller(\d+)\/button\/([^/]+)$/, description: 'Controller $1 button $2' },
+  { pattern: /^\/controller(\d+)\/button\/([^/]+)\/(down|up)$/, description: 'Controller $1 button $2 $3 event (value on down, seconds held on up)' },
+  { pattern: /^\/controller(\d+)\/button\/([^/]+)\/long-press$/, description: 'Controller $1 button $2 held for 0.5 s (seconds held)' },
+  { pattern: /^\/controller(\d+)\/button\/([^/]+)\/double-tap$/, description: 'Controller $1 button $2 double tap (seconds between presses)' },
+  { pattern: /^\/controller(\d+)\/chord\/([^/]+)\/(down|up)$/, description: 'Controller $1 chord $2 $3 event' },
+  { pattern: /^\/controller(\d+)\/plane\/([^/]+)$/, description: 'Where controller $1 aims on virtual plane $2 (0-1)' },
+  { pattern: /^\/hand\/(left|right)\/joint\/([^/]+)$/, description: 'Hand $1 joint $2 pose and radius (m)' },
+  { pattern: /^\/hand\/(left|right)\/pinch$/, description: 'Hand $1 pinch strength, state and thumb-index distance (m)' },
+  { pattern: /^\/hand\/(left|right)\/pinch\/(start|end)$/, description: 'Hand $1 pinch $2 event (strength)' },
+  { pattern: /^(\/.+)\/(velocity|acceleration|jerk|angular-velocity|speed)$/, description: 'Motion feature $2 of $1' },
+  { pattern: /^\/zone\/([^/]+)\/(enter|exit)$/, description: 'Device entering or leaving zone $1 (device, occupants)' },
+  { pattern: /^\/zone\/([^/]+)\/position$/, description: 'Device position inside zone $1 (device, 0-1 per axis)' },
+  { pattern: /^\/users\/(joined|left)$/, description: 'Headset $1 (user name, user count)' }
+];
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const MDNS_TTL = 120; // Seconds
+const MDNS_SERVICE = ['_oscjson', '_tcp', 'local'];
+const DNS_TYPES = { A: 1, PTR: 12, TXT: 16, SRV: 33, ANY: 255 };
+
+let oscQuery = null; // { server, wss, mdns, names, address }
+
+// Start the OSCQuery HTTP/WebSocket server and its mDNS advertisement
+function initOSCQuery() {
+  if (!config.oscQueryPort) {
+    debugLog('OSCQuery disabled (oscQueryPort is 0)');
+    return;
+  }
+
+  const queryServer = http.createServer(handleOSCQueryRequest);
+  // Browsers always send an Origin and OSCQuery apps don't, so web pages can't LISTEN to the live values
+  const queryWss = new WebSocket.Server({
+    server: queryServer,
+    perMessageDeflate: false,
+    verifyClient: ({ origin, req }) => {
+      if (origin === undefined) return true;
+      debugLog(`Refused an OSCQuery WebSocket from ${req.socket.remoteAddress} opened by the web page ${origin}`, null, 'WARN');
+      return false;
+    }
+  });
+  const hostName = os.hostname().split('.')[0].replace(/[^A-Za-z0-9-]/g, '-') || 'webxr';
+  oscQuery = {
+    server: queryServer,
+    wss: queryWss,
+    mdns: null,
+    names: {
+      service: MDNS_SERVICE,
+      instance: [`WebXR OSC Bridge on ${hostName}`, ...MDNS_SERVICE],
+      host: [`${hostName}-webxr-osc`, 'local']
+    },
+    address: getAdvertisedAddress()
+  };
+
+  queryWss.on('connection', (ws) => {
+    ws.oscQueryListens = new Set();
+    ws.on('message', (message, isBinary) => {
+      if (!isBinary) handleOSCQueryCommand(ws, message.toString());
+    });
+    ws.on('error', (err) => {
+      debugLog('OSCQuery WebSocket error', err.message, 'WARN');
+    });
+  });
+  queryWss.on('error', (err) => {
+    debugLog('OSCQuery WebSocket server error', err.message, 'ERROR');
+  });
+
+  const query = oscQuery;
+  queryServer.on('error', (err) => {
+    debugLog(`OSCQuery server error on port ${config.oscQueryPort}`, err.message, 'ERROR');
+    if (oscQuery === query) closeOSCQuery();
+  });
+  queryServer.listen(config.oscQueryPort, config.oscQueryIp, () => {
+    debugLog(`OSCQuery namespace on http://${config.oscQueryIp}:${config.oscQueryPort}`);
+    // Nobody else can reach a namespace on loopback, so there is nothing to advertise
+    if (oscQuery === query && !isLoopbackAddress(config.oscQueryIp)) startMDNS(query);
+  });
+}
+
+// Where HOST_INFO sends apps with OSC for the bridge: oscInputIp, or the advertised address when the input listens
+// on every interface. An input on loopback is only offered to apps on this machine (null for anyone else).
+function getOSCInputAddress(req) {
+  if (isLoopbackAddress(config.oscInputIp)) return isLoopbackAddress(req.socket.remoteAddress) ? config.oscInputIp : null;
+  return ['0.0.0.0', '::'].includes(config.oscInputIp) ? oscQuery.address : config.oscInputIp;
+}
+
+function isLoopbackAddress(ip) {
+  return /^(::ffff:)?127\./.test(ip) || ip === '::1' || ip === 'localhost';
+}
+
+function closeOSCQuery() {
+  if (!oscQuery) return;
+  const query = oscQuery;
+  oscQuery = null;
+  stopMDNS(query);
+  query.wss.clients.forEach(ws => ws.terminate());
+  query.wss.close();
+  query.server.close();
+  debugLog('OSCQuery stopped');
+}
 
-// Enhanced logging function
-function debugLog(message, data = null, level = 'INFO') {
-  if (DEBUG_MODE) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level}] ${message}`;
-    
-    if (data) {
-      console.log(logMessage, data);
-    } else {
-      console.log(logMessage);
+// The IPv4 address put in mDNS answers and HOST_INFO: oscQueryIp or else serverIp when it is one, else the first
+// external interface
+function getAdvertisedAddress() {
+  const isSpecific = (ip) => /^\d+\.\d+\.\d+\.\d+$/.test(ip) && ip !== '0.0.0.0';
+  if (isSpecific(config.oscQueryIp)) return config.oscQueryIp;
+  if (isSpecific(config.serverIp)) return config.serverIp;
+  const external = Object.values(os.networkInterfaces()).flat()
+    .find(iface => iface && (iface.family === 'IPv4' || iface.family === 4) && !iface.internal);
+  return external ? external.address : '127.0.0.1';
+}
+
+// Announce a new address, and pass a sent message to the WebSocket clients listening to its address
+function updateOSCQuery(address, entry, isNew) {
+  if (isNew) sendOSCQueryCommand('PATH_ADDED', address);
+
+  let packet = null;
+  oscQuery.wss.clients.forEach(ws => {
+    if (ws.readyState !== WebSocket.OPEN || !ws.oscQueryListens.has(address)) return;
+    if (!packet) packet = Buffer.from(osc.writePacket({ address, args: encodeSentValues(entry) }, { metadata: true }));
+    try {
+      ws.send(packet);
+    } catch (err) {
+      debugLog('Failed to send OSCQuery LISTEN value', err.message, 'WARN');
     }
+  });
+}
+
+function sendOSCQueryCommand(command, data) {
+  const payload = JSON.stringify({ COMMAND: command, DATA: data });
+  oscQuery.wss.clients.forEach(ws => sendToClient(ws, payload));
+}
+
+// LISTEN / IGNORE from a client: { "COMMAND": "LISTEN", "DATA": "/controller0/pose" }
+function handleOSCQueryCommand(ws, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (err) {
+    debugLog('Ignoring malformed OSCQuery command', text.substring(0, 100), 'WARN');
+    return;
+  }
+  if (!msg || typeof msg.DATA !== 'string') return;
+  if (msg.COMMAND === 'LISTEN') {
+    ws.oscQueryListens.add(msg.DATA);
+  } else if (msg.COMMAND === 'IGNORE') {
+    ws.oscQueryListens.delete(msg.DATA);
+  } else {
+    debugLog(`Unknown OSCQuery command ${msg.COMMAND}`, null, 'WARN');
   }
 }
 
-// Initialize persistent OSC connections for each device type
-function initOSCConnection() {
-  debugLog('Initializing OSC connections for all device types');
-  
-  Object.keys(OSC_PORTS).forEach(deviceType => {
-    const port = OSC_PORTS[deviceType];
-    
-    if (oscUDPPorts[deviceType]) {
-      debugLog(`OSC connection for ${deviceType} already exists, skipping initialization`);
-      return;
-    }
+// The ACCESS, TYPE, VALUE, RANGE and DESCRIPTION attributes of a sent address
+function describeOSCQueryEntry(address, entry) {
+  const { format } = defaultOutputFormat();
+  const values = encodeSentValues(entry);
+  const fields = describeSentFields(entry);
+  const plain = address.replace(/^\/user\/[^/]+/, '');
+  const known = OSCQUERY_DESCRIPTIONS.find(item => item.pattern.test(plain));
+  const ranges = Object.assign({}, OSCQUERY_FIELD_RANGES, known && known.ranges);
+  const angle = format.unit === 'rad' ? Math.PI : 180;
 
-    debugLog(`Initializing OSC connection for ${deviceType} to ${OSC_TARGET_IP}:${port}`);
-    
-    oscUDPPorts[deviceType] = new osc.UDPPort({
-      localAddress: '0.0.0.0',
-      localPort: 0, // Let system assign port
-      remoteAddress: OSC_TARGET_IP,
-      remotePort: port,
-      metadata: true
-    });
+  const range = (field) => {
+    if (/^r[xyz]$/.test(field)) return { MIN: -angle, MAX: angle };
+    if (field === 'angle') return { MIN: 0, MAX: angle };
+    return ranges[field] ? { MIN: ranges[field][0], MAX: ranges[field][1] } : {};
+  };
 
-    oscUDPPorts[deviceType].on('ready', () => {
-      oscConnected[deviceType] = true;
-      debugLog(`OSC UDP port opened successfully for ${deviceType}`, { 
-        localPort: oscUDPPorts[deviceType].options.localPort,
-        remoteAddress: `${OSC_TARGET_IP}:${port}`
-      });
-    });
+  const attributes = { ACCESS: 1 };
+  if (values.length > 0) {
+    attributes.TYPE = values.map(arg => arg.type).join('');
+    attributes.VALUE = values.map(arg => arg.value);
+    attributes.RANGE = values.map((arg, i) => (fields[i] ? range(fields[i]) : {}));
+  }
+  const description = [known ? plain.replace(known.pattern, known.description) : null, fields.length ? `(${fields.join(' ')})` : null]
+    .filter(Boolean).join(' ');
+  if (description) attributes.DESCRIPTION = description;
+  return attributes;
+}
 
-    oscUDPPorts[deviceType].on('error', (err) => {
-      oscConnected[deviceType] = false;
-      oscErrorCount++;
-      lastOSCError = err.message;
-      debugLog(`OSC UDP port error for ${deviceType} (${oscErrorCount} total errors)`, err.message, 'ERROR');
-      
-      // Attempt to reconnect after a delay
-      setTimeout(() => {
-        debugLog(`Attempting to reconnect OSC for ${deviceType}...`);
-        reconnectOSC(deviceType);
-      }, 5000);
+// The whole namespace as nested OSCQuery nodes; containers have ACCESS 0
+function buildOSCQueryTree() {
+  const root = { FULL_PATH: '/', ACCESS: 0, CONTENTS: {} };
+  sentMessages.forEach((entry, address) => {
+    let node = root;
+    const names = address.split('/').slice(1);
+    names.forEach((name, i) => {
+      node.CONTENTS = node.CONTENTS || {};
+      if (!node.CONTENTS[name]) node.CONTENTS[name] = { FULL_PATH: `/${names.slice(0, i + 1).join('/')}`, ACCESS: 0 };
+      node = node.CONTENTS[name];
     });
+    Object.assign(node, describeOSCQueryEntry(address, entry));
+  });
+  return root;
+}
 
-    oscUDPPorts[deviceType].on('close', () => {
-      oscConnected[deviceType] = false;
-      debugLog(`OSC UDP port closed for ${deviceType}`);
-    });
+function findOSCQueryNode(root, fullPath) {
+  let node = root;
+  for (const name of fullPath.split('/').slice(1).filter(Boolean)) {
+    node = node.CONTENTS && node.CONTENTS[name];
+    if (!node) return null;
+  }
+  return node;
+}
+
+// GET /path returns the node, /path?ATTRIBUTE one attribute of it, /?HOST_INFO the server's details
+function handleOSCQueryRequest(req, res) {
+  const reply = (statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+  if (req.method !== 'GET') {
+    reply(405, { error: 'OSCQuery only answers GET' });
+    return;
+  }
+
+  const [rawPath, query = ''] = req.url.split('?');
+  let fullPath;
+  try {
+    fullPath = decodeURIComponent(rawPath);
+  } catch (err) {
+    reply(400, { error: 'Malformed path' });
+    return;
+  }
+
+  if (query === 'HOST_INFO') {
+    const info = { NAME: oscQuery.names.instance[0], EXTENSIONS: OSCQUERY_EXTENSIONS };
+    const inputAddress = getOSCInputAddress(req);
+    if (config.oscInputPort && inputAddress) {
+      Object.assign(info, { OSC_IP: inputAddress, OSC_PORT: config.oscInputPort, OSC_TRANSPORT: 'UDP' });
+    }
+    reply(200, info);
+    return;
+  }
+
+  const node = findOSCQueryNode(buildOSCQueryTree(), fullPath);
+  if (!node) {
+    reply(404, { error: `No such address ${fullPath}` });
+    return;
+  }
+  if (!query) {
+    reply(200, node);
+  } else if (query in node) {
+    reply(200, { [query]: node[query] });
+  } else {
+    reply(204);
+  }
+}
 
+// mDNS: answer queries for _oscjson._tcp with PTR, SRV, TXT and A records. Announced on start, withdrawn on close.
+function startMDNS(query) {
+  const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  socket.on('error', (err) => {
+    debugLog('mDNS advertisement failed, OSCQuery clients need the address entered by hand', err.message, 'WARN');
+    try {
+      socket.close();
+    } catch (closeErr) {
+      // Already closed
+    }
+    if (query.mdns === socket) query.mdns = null;
+  });
+  socket.on('message', (message, rinfo) => {
+    try {
+      if (mdnsQueryMatches(message, query.names)) socket.send(encodeMDNSResponse(query, MDNS_TTL), MDNS_PORT, MDNS_ADDRESS);
+    } catch (err) {
+      debugLog(`Ignoring malformed mDNS packet from ${rinfo.address}`, err.message, 'WARN');
+    }
+  });
+  socket.bind(MDNS_PORT, () => {
     try {
-      oscUDPPorts[deviceType].open();
+      socket.addMembership(MDNS_ADDRESS);
+      socket.setMulticastTTL(255);
     } catch (err) {
-      debugLog(`Failed to open OSC UDP port for ${deviceType}`, err.message, 'ERROR');
-      oscConnected[deviceType] = false;
+      socket.emit('error', err);
+      return;
     }
+    query.mdns = socket;
+    socket.send(encodeMDNSResponse(query, MDNS_TTL), MDNS_PORT, MDNS_ADDRESS);
+    debugLog(`mDNS: advertising "${query.names.instance[0]}" as _oscjson._tcp on ${query.address}:${config.oscQueryPort}`);
   });
 }
 
-// Reconnect OSC with cleanup - now supports individual device types
-function reconnectOSC(deviceType = null) {
-  const devicesToReconnect = deviceType ? [deviceType] : Object.keys(OSC_PORTS);
-  
-  devicesToReconnect.forEach(device => {
-    if (oscUDPPorts[device]) {
-      try {
-        oscUDPPorts[device].close();
-      } catch (err) {
-        debugLog(`Error closing existing OSC port for ${device} during reconnect`, err.message, 'WARN');
-      }
-      oscUDPPorts[device] = null;
+function stopMDNS(query) {
+  const socket = query.mdns;
+  if (!socket) return;
+  query.mdns = null;
+  // A TTL of 0 tells listeners the service is gone
+  socket.send(encodeMDNSResponse(query, 0), MDNS_PORT, MDNS_ADDRESS, () => {
+    try {
+      socket.close();
+    } catch (err) {
+      debugLog('Error closing mDNS socket', err.message, 'WARN');
     }
-    
-    oscConnected[device] = false;
   });
-  
-  setTimeout(initOSCConnection, 1000);
 }
 
-// Determine which device type and port to use based on OSC address
-function getDeviceTypeFromAddress(address) {
-  if (address.startsWith('/hmd')) {
-    return 'HMD';
-  } else if (address.startsWith('/controller0')) {
-    return 'CONTROLLER0';
-  } else if (address.startsWith('/controller1')) {
-    return 'CONTROLLER1';
+// Read a (possibly compressed) DNS name at offset; returns { labels, end }
+function readDNSName(buf, offset) {
+  const labels = [];
+  let end = null;
+  for (let jumps = 0; jumps < 32; jumps++) {
+    const length = buf.readUInt8(offset);
+    if (length === 0) return { labels, end: end === null ? offset + 1 : end };
+    if ((length & 0xc0) === 0xc0) {
+      if (end === null) end = offset + 2;
+      offset = buf.readUInt16BE(offset) & 0x3fff;
+      continue;
+    }
+    labels.push(buf.toString('utf8', offset + 1, offset + 1 + length));
+    offset += 1 + length;
   }
-  return 'HMD'; // Default fallback
+  throw new Error('DNS name compression loop');
 }
 
-// Enhanced OSC message sending with per-device port routing
-function sendOSC(address, args) {
-  const deviceType = getDeviceTypeFromAddress(address);
-  const targetPort = OSC_PORTS[deviceType];
-  const udpPort = oscUDPPorts[deviceType];
-  const isConnected = oscConnected[deviceType];
-  
-  if (!isConnected || !udpPort) {
-    if (oscErrorCount < 5) { // Limit error spam
-      debugLog(`OSC not connected for ${deviceType}, unable to send message`, { 
-        address, 
-        deviceType,
-        targetPort,
-        connected: isConnected 
-      }, 'WARN');
-    }
-    return false;
+// Whether a DNS packet is a query asking for our service, instance or host
+function mdnsQueryMatches(buf, names) {
+  if (buf.length < 12 || (buf.readUInt16BE(2) & 0x8000)) return false; // Responses from other hosts
+  const ours = [names.service, names.instance, names.host].map(labels => labels.join('.').toLowerCase());
+  let offset = 12;
+  for (let i = buf.readUInt16BE(4); i > 0; i--) {
+    const { labels, end } = readDNSName(buf, offset);
+    const type = buf.readUInt16BE(end);
+    offset = end + 4;
+    if (ours.includes(labels.join('.').toLowerCase()) && Object.values(DNS_TYPES).includes(type)) return true;
   }
+  return false;
+}
 
-  try {
-    const oscMessage = {
-      address: address,
-      args: args.map(v => ({ 
-        type: 'f', 
-        value: isNaN(parseFloat(v)) ? 0.0 : parseFloat(v) 
-      }))
-    };
+function encodeDNSName(labels) {
+  return Buffer.concat(labels.map(label => {
+    const bytes = Buffer.from(label, 'utf8');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  }).concat([Buffer.from([0])]));
+}
 
-    udpPort.send(oscMessage);
-    oscMessageCount++;
-    
-    // Update performance stats
-    updateMessageStats(address);
-    
-    // Periodic logging based on sample rate
-    if (LOG_OSC_MESSAGES || Math.random() < LOG_SAMPLE_RATE) {
-      debugLog(`OSC sent to ${deviceType}:${targetPort}: ${address}`, {
-        args: args.slice(0, 3), // Only log first 3 args to avoid spam
-        totalMessages: oscMessageCount
-      });
-    }
-    
+// One resource record; unique records (SRV, TXT, A) set the cache-flush bit
+function encodeDNSRecord(labels, type, unique, ttl, data) {
+  const fixed = Buffer.alloc(10);
+  fixed.writeUInt16BE(type, 0);
+  fixed.writeUInt16BE(unique ? 0x8001 : 0x0001, 2);
+  fixed.writeUInt32BE(ttl, 4);
+  fixed.writeUInt16BE(data.length, 8);
+  return Buffer.concat([encodeDNSName(labels), fixed, data]);
+}
+
+function encodeMDNSResponse(query, ttl) {
+  const { service, instance, host } = query.names;
+  const srv = Buffer.alloc(6);
+  srv.writeUInt16BE(0, 0); // Priority
+  srv.writeUInt16BE(0, 2); // Weight
+  srv.writeUInt16BE(config.oscQueryPort, 4);
+  const records = [
+    encodeDNSRecord(service, DNS_TYPES.PTR, false, ttl, encodeDNSName(instance)),
+    encodeDNSRecord(instance, DNS_TYPES.SRV, true, ttl, Buffer.concat([srv, encodeDNSName(host)])),
+    encodeDNSRecord(instance, DNS_TYPES.TXT, true, ttl, Buffer.from([0])),
+    encodeDNSRecord(host, DNS_TYPES.A, true, ttl, Buffer.from(query.address.split('.').map(Number)))
+  ];
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(0x8400, 2); // Authoritative response
+  header.writeUInt16BE(records.length, 6);
+  return Buffer.concat([header, ...records]);
+}
+
+// Send a JSON message to one WebSocket client; returns whether it went out
+function sendToClient(ws, message) {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+  try {
+    ws.send(typeof message === 'string' ? message : JSON.stringify(message));
     return true;
   } catch (err) {
-    oscErrorCount++;
-    lastOSCError = err.message;
-    debugLog(`Error sending OSC message to ${deviceType}:${targetPort}`, { 
-      error: err.message, 
-      address, 
-      totalErrors: oscErrorCount 
-    }, 'ERROR');
-    
-    // Try to reconnect if we have too many errors
-    if (oscErrorCount > 10) {
-      debugLog(`Too many OSC errors for ${deviceType}, attempting reconnection`);
-      reconnectOSC(deviceType);
-    }
-    
+    debugLog('Failed to send message to WebSocket client', err.message, 'WARN');
     return false;
   }
 }
 
-// Track message statistics for performance monitoring
-function updateMessageStats(address) {
-  const now = Date.now();
-  let deviceKey = 'hmd';
-  
-  if (address.includes('controller0')) deviceKey = 'controller0';
-  else if (address.includes('controller1')) deviceKey = 'controller1';
-  
-  if (messageStats[deviceKey]) {
-    messageStats[deviceKey].count++;
-    messageStats[deviceKey].lastTime = now;
-  }
+// Send a JSON message to the headset(s) of one user; returns how many received it
+function notifyUser(user, message) {
+  const payload = JSON.stringify(message);
+  let delivered = 0;
+
+  wss.clients.forEach((ws) => {
+    if (ws.clientInfo && ws.clientInfo.user === user && sendToClient(ws, payload)) delivered++;
+  });
+
+  return delivered;
 }
 
-// Print periodic statistics
-function printOSCStats() {
-  if (!DEBUG_MODE) return;
-  
-  const uptime = process.uptime();
-  const connectionStatus = Object.keys(OSC_PORTS).map(device => 
-    `${device}:${OSC_PORTS[device]}=${oscConnected[device] ? 'OK' : 'FAIL'}`
-  ).join(', ');
-  
-  debugLog('OSC Performance Stats', {
-    uptime: `${Math.floor(uptime)}s`,
-    connections: connectionStatus,
-    totalMessages: oscMessageCount,
-    totalErrors: oscErrorCount,
-    lastError: lastOSCError,
-    messagesPerSecond: Math.round(oscMessageCount / uptime),
-    deviceStats: messageStats,
-    portRouting: {
-      HMD: `port ${OSC_PORTS.HMD}`,
-      Controller0: `port ${OSC_PORTS.CONTROLLER0}`,
-      Controller1: `port ${OSC_PORTS.CONTROLLER1}`
+// Send a JSON message to every open WebSocket client; returns how many received it
+function broadcastToClients(message) {
+  const payload = JSON.stringify(message);
+  let delivered = 0;
+
+  wss.clients.forEach((ws) => {
+    if (ws.clientInfo && ws.clientInfo.authenticated && sendToClient(ws, payload)) delivered++;
+  });
+
+  return delivered;
+}
+
+// --- Dashboard and status API ---
+// /dashboard (dashboard.html + dashboard.js) polls these JSON endpoints on the HTTPS server:
+//   GET  /api/status     clients, per-device message rates, destination health, logging, last value per address
+//   GET  /api/poses      every pose stream's latest position and quaternion (calibrated, WebXR axes), for the 3D view
+//   POST /api/reconnect  { "destination"?: "host:port" } reopens one destination's UDP port, or all of them
+//   POST /api/logging    { "debugMode"?: bool, "logOscMessages"?: bool }, until the config is reloaded
+// Handlers get the parsed JSON body and return the response; a thrown Error is a 400.
+// Every request needs "Authorization: Bearer <dashboardToken>" (401 otherwise). POSTs must be application/json
+// (415) and, from a browser, come from the dashboard's own origin (403), so other web pages can't send them.
+const DASHBOARD_API = {
+  'GET /api/status': () => getStatus(),
+  'GET /api/poses': () => ({ poses: getPoses() }),
+  'POST /api/reconnect': (data) => {
+    if (data.destination !== undefined && !oscDestinations[data.destination]) {
+      throw new Error(`unknown destination ${JSON.stringify(data.destination)} (${Object.keys(oscDestinations).join(', ')})`);
     }
+    const keys = data.destination ? [data.destination] : Object.keys(oscDestinations);
+    debugLog('Reconnecting OSC destinations from the dashboard', { destinations: keys });
+    reconnectOSC(data.destination || null);
+    return { reconnecting: keys };
+  },
+  'POST /api/logging': (data) => {
+    const keys = ['debugMode', 'logOscMessages'].filter(key => data[key] !== undefined);
+    keys.forEach(key => {
+      if (typeof data[key] !== 'boolean') throw new Error(`${key} must be true or false`);
+    });
+    keys.forEach(key => { config[key] = data[key]; });
+    debugLog('Logging changed from the dashboard', { debugMode: config.debugMode, logOscMessages: config.logOscMessages });
+    return { debugMode: config.debugMode, logOscMessages: config.logOscMessages };
+  }
+};
+const DASHBOARD_API_MAX_BODY = 4096;
+const generatedDashboardToken = crypto.randomBytes(16).toString('hex'); // Used while dashboardToken is ''
+
+let previousMessageCounts = {}; // device -> messageStats count a second ago
+
+// Messages per second per device over the last second
+function updateMessageRates() {
+  Object.keys(messageStats).forEach(device => {
+    messageStats[device].rate = messageStats[device].count - (previousMessageCounts[device] || 0);
+    previousMessageCounts[device] = messageStats[device].count;
   });
 }
 
-// Enhanced OSC message handling with validation
-function handleOSCMessage(msg) {
-  const { address, args } = msg;
+function getStatus() {
+  const now = Date.now();
+  const destinations = Object.values(oscDestinations);
+  const addresses = Array.from(sentMessages.keys()).sort().map(address => {
+    const entry = sentMessages.get(address);
+    return { address, fields: describeSentFields(entry), values: encodeSentValues(entry).map(arg => arg.value), age: now - entry.updatedAt };
+  });
 
-  // Validate message structure
-  if (!address || typeof address !== 'string') {
-    debugLog('Invalid OSC address received', { address }, 'WARN');
-    return;
+  return {
+    uptime: Math.floor(process.uptime()),
+    clients: Array.from(wss.clients).map(ws => ({
+      ip: ws.clientInfo.ip,
+      userAgent: ws.clientInfo.userAgent,
+      user: ws.clientInfo.user,
+      authenticated: ws.clientInfo.authenticated,
+      protocol: ws.clientInfo.protocol,
+      connectedAt: ws.clientInfo.connectedAt,
+      rtt: ws.clientInfo.clock.rtt
+    })),
+    devices: messageStats,
+    osc: {
+      oscConnected: destinations.length > 0 && destinations.every(dest => dest.connected),
+      oscMessageCount,
+      oscErrorCount,
+      lastOSCError,
+      destinations: destinations.map(dest => ({
+        key: dest.key,
+        connected: dest.connected,
+        messageCount: dest.messageCount,
+        errorCount: dest.errorCount,
+        lastError: dest.lastError
+      }))
+    },
+    logging: { debugMode: config.debugMode, logOscMessages: config.logOscMessages },
+    addresses
+  };
+}
+
+function getPoses() {
+  const poses = [];
+  sentMessages.forEach((entry, address) => {
+    if (!entry.layout || !POSITION_FIELDS.concat(QUATERNION_FIELDS).every(field => entry.layout.includes(field))) return;
+    const value = (field) => entry.args[entry.layout.indexOf(field)];
+    poses.push({ address, position: POSITION_FIELDS.map(value), quaternion: QUATERNION_FIELDS.map(value) });
+  });
+  return poses;
+}
+
+function getDashboardToken() {
+  return config.dashboardToken || generatedDashboardToken;
+}
+
+function getDashboardUrl() {
+  return `https://${config.serverIp}:${config.serverPort}/dashboard#token=${getDashboardToken()}`;
+}
+
+// Constant-time comparison of a presented token with the dashboard token
+function isDashboardToken(token) {
+  const given = Buffer.from(typeof token === 'string' ? token : '');
+  const expected = Buffer.from(getDashboardToken());
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Why a request may not reach the API, as [status, message], or null if it may
+function checkApiAccess(req) {
+  const authorization = req.headers.authorization || '';
+  if (!isDashboardToken(authorization.startsWith('Bearer ') ? authorization.slice(7) : '')) {
+    return [401, 'Missing or wrong dashboard token (open the dashboard link printed at startup)'];
+  }
+  if (req.method !== 'POST') return null;
+  if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+    return [415, 'POST bodies must be application/json'];
   }
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin !== `https://${req.headers.host}`) {
+    return [403, `Requests from ${origin} are not allowed`];
+  }
+  return null;
+}
 
-  if (!Array.isArray(args)) {
-    debugLog('Invalid OSC args received', { args }, 'WARN');
+function handleApiRequest(req, res) {
+  const reply = (statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  };
+  const route = DASHBOARD_API[`${req.method} ${req.url.split('?')[0]}`];
+  if (!route) {
+    reply(404, { error: `No API endpoint ${req.method} ${req.url.split('?')[0]}` });
     return;
   }
-
-  // Validate numeric args
-  const validArgs = args.filter(arg => {
-    const num = parseFloat(arg);
-    return !isNaN(num) && isFinite(num);
-  });
-
-  if (validArgs.length !== args.length) {
-    debugLog('Some OSC args were invalid and filtered', {
-      original: args.length,
-      valid: validArgs.length,
-      address
-    }, 'WARN');
+  const denied = checkApiAccess(req);
+  if (denied) {
+    reply(denied[0], { error: denied[1] });
+    req.resume();
+    debugLog(`Rejected ${req.method} ${req.url} from ${req.socket.remoteAddress}`, denied[1], 'WARN');
+    return;
   }
 
-  // Enhanced logging for controller button states
-  if (address.startsWith('/controller') && validArgs.length >= 8) {
-    const btnState = validArgs[7];
-    const controllerNum = address.includes('controller0') ? 0 : 1;
-    
-    if (LOG_OSC_MESSAGES) {
-      debugLog(`Controller ${controllerNum} button state: ${btnState ? 'Pressed' : 'Released'}`, {
-        position: validArgs.slice(0, 3),
-        orientation: validArgs.slice(3, 7)
-      });
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > DASHBOARD_API_MAX_BODY) {
+      reply(413, { error: 'Request body too large' });
+      req.destroy();
     }
-  }
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    try {
+      const data = body ? JSON.parse(body) : {};
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('body must be a JSON object');
+      reply(200, route(data));
+    } catch (err) {
+      reply(400, { error: err.message });
+      debugLog(`Rejected ${req.method} ${req.url}`, err.message, 'WARN');
+    }
+  });
+}
 
-  // Send OSC message
-  const success = sendOSC(address, validArgs);
-  
-  if (!success && DEBUG_MODE) {
-    debugLog('Failed to send OSC message', { address, argsLength: validArgs.length }, 'WARN');
-  }
+// Loaded with require() (by the tests in test/), the file only provides its functions; the servers start when it
+// is run with node
+if (require.main !== module) {
+  module.exports = {
+    compileAddressPattern,
+    splitBundle,
+    decodeBinaryFrame,
+    encodeFreeD,
+    encodeArtDmx,
+    encodeSACN,
+    validateRules
+  };
+  return;
 }
 
 // Load HTTPS certs with better error handling
 let options;
 try {
   options = {
-    key: fs.readFileSync(path.join(__dirname, SSL_KEY_FILE)),
-    cert: fs.readFileSync(path.join(__dirname, SSL_CERT_FILE)),
+    key: fs.readFileSync(path.resolve(__dirname, config.sslKeyFile)),
+    cert: fs.readFileSync(path.resolve(__dirname, config.sslCertFile)),
   };
   debugLog('SSL certificates loaded successfully');
 } catch (err) {
   console.error('Failed to load SSL certificates:', err.message);
-  console.error('Make sure key.pem and cert.pem files exist in the project directory');
+  console.error(`Make sure ${config.sslKeyFile} and ${config.sslCertFile} exist in the project directory`);
   process.exit(1);
 }
 
@@ -319,25 +5377,41 @@ const server = https.createServer(options, (req, res) => {
   let contentType = 'text/html';
   let statusCode = 200;
 
-  debugLog(`HTTP request received: ${req.method} ${req.url}`, {
+  // The dashboard polls the API several times a second, so these requests aren't logged
+  if (req.url.startsWith('/api/')) {
+    handleApiRequest(req, res);
+    return;
+  }
+
+  // Paths only, without any query string
+  const urlPath = req.url.split('?')[0];
+  debugLog(`HTTP request received: ${req.method} ${urlPath}`, {
     userAgent: req.headers['user-agent'],
-    remoteAddress: req.headers['x-forwarded-for'] || req.socket.remoteAddress
+    remoteAddress: req.socket.remoteAddress
   });
 
   // Basic routing for serving files
-  if (req.url === '/' || req.url === '/index.html') {
+  if (urlPath === '/' || urlPath === '/index.html') {
     filePath = path.join(__dirname, 'index.html');
-  } else if (req.url === '/three.min.js') {
+  } else if (urlPath === '/three.min.js') {
     filePath = path.join(__dirname, 'three.min.js');
     contentType = 'application/javascript';
-  } else if (req.url === '/app.js') {
+  } else if (urlPath === '/app.js') {
     filePath = path.join(__dirname, 'app.js');
     contentType = 'application/javascript';
+  } else if (urlPath === '/dashboard' || urlPath === '/dashboard.html') {
+    // The page holds no data, so it is served to anyone; everything it shows comes from /api/*, which needs the
+    // token. The token is after '#' in the dashboard link and never sent, this keeps it out of Referer headers too.
+    filePath = path.join(__dirname, 'dashboard.html');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+  } else if (urlPath === '/dashboard.js') {
+    filePath = path.join(__dirname, 'dashboard.js');
+    contentType = 'application/javascript';
   } else {
     // Handle 404 Not Found
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('404 Not Found');
-    debugLog(`404 Not Found: ${req.url}`, null, 'WARN');
+    debugLog(`404 Not Found: ${urlPath}`, null, 'WARN');
     return;
   }
 
@@ -356,17 +5430,25 @@ const server = https.createServer(options, (req, res) => {
 });
 
 // Enhanced server startup
-server.listen(SERVER_PORT, SERVER_IP, () => {
+server.listen(config.serverPort, config.serverIp, () => {
   console.log('='.repeat(60));
   console.log('WebXR OSC Bridge Server Started');
   console.log('='.repeat(60));
-  console.log('🌐 HTTPS Server: https://${SERVER_IP}:${SERVER_PORT}');
+  console.log(`🌐 HTTPS Server: https://${config.serverIp}:${config.serverPort}`);
+  console.log(`📈 Dashboard: ${getDashboardUrl()}`);
   console.log('🎛️  OSC Routing:');
-  console.log(`   • HMD data → ${OSC_TARGET_IP}:${OSC_PORTS.HMD}`);
-  console.log(`   • Controller 0 → ${OSC_TARGET_IP}:${OSC_PORTS.CONTROLLER0}`);
-  console.log(`   • Controller 1 → ${OSC_TARGET_IP}:${OSC_PORTS.CONTROLLER1}`);
-  console.log(`🔧 Debug Mode: ${DEBUG_MODE ? 'Enabled' : 'Disabled'}`);
-  console.log(`📊 OSC Logging: ${LOG_OSC_MESSAGES ? 'Enabled' : 'Disabled'}`);
+  routingTable.forEach(route => {
+    console.log(`   • ${route.match} → ${route.destinations.map(describeDestination).join(', ')}`);
+  });
+  console.log(`🔐 Pairing: ${securitySettings.pairing ? `code ${pairingCode} (type 'pair' for the current one)` : 'Disabled'}`);
+  console.log(`👥 User Namespaces: ${config.userNamespaces ? 'Enabled (/user/<name>/...)' : 'Disabled'}`);
+  console.log(`📥 OSC Input: ${config.oscInputPort ? `${config.oscInputIp}:${config.oscInputPort} (/controllerN/haptic)` : 'Disabled'}`);
+  console.log(`🔎 OSCQuery: ${config.oscQueryPort ? `http://${config.oscQueryIp}:${config.oscQueryPort}${isLoopbackAddress(config.oscQueryIp) ? ' (this machine only)' : ' (mDNS _oscjson._tcp)'}` : 'Disabled'}`);
+  console.log(`🧮 Mapping Rules: ${mappingRules.length} from ${resolveRulesPath()} (hot reload enabled)`);
+  console.log(`📐 Calibration: ${resolveCalibrationPath()} (${Object.keys(calibrations).length} user(s) calibrated)`);
+  console.log(`🔧 Debug Mode: ${config.debugMode ? 'Enabled' : 'Disabled'}`);
+  console.log(`📊 OSC Logging: ${config.logOscMessages ? 'Enabled' : 'Disabled'}`);
+  console.log(`📄 Config: ${fs.existsSync(configFilePath) ? configFilePath : 'built-in defaults'} (hot reload enabled)`);
   console.log('='.repeat(60));
   console.log('Make sure your Quest headset is on the same Wi-Fi network.');
   console.log('='.repeat(60));
@@ -376,63 +5458,104 @@ server.listen(SERVER_PORT, SERVER_IP, () => {
 const wss = new WebSocket.Server({ 
   server,
   perMessageDeflate: false, // Disable compression for better performance
-  maxPayload: 1024 // Limit payload size
+  handleProtocols: (protocols) => selectProtocol(protocols),
+  // Hard limit for any protocol; WS_MESSAGE_LIMITS narrows it per protocol and message kind
+  maxPayload: Math.max(...Object.values(WS_MESSAGE_LIMITS).map(limits => Math.max(limits.text, limits.binary)))
 });
 
 let connectedClients = 0;
 
 wss.on('connection', (ws, req) => {
-  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+  // The socket's address, not X-Forwarded-For: lockouts, rate limits and the audit log must not trust a header
+  const clientIp = req.socket.remoteAddress;
   const userAgent = req.headers['user-agent'] || 'Unknown';
   connectedClients++;
+  ws.clientInfo = {
+    ip: clientIp,
+    userAgent: userAgent.substring(0, 100),
+    connectedAt: new Date().toISOString(),
+    clientId: null,
+    user: null, // Set by the client's hello, or on its first data message
+    clock: { offset: null, rtt: null, samples: [] }, // Headset-to-server clock offset (ms), see handleClockSync
+    protocol: ws.protocol || WS_PROTOCOL_JSON,
+    schemas: new Map(), // Binary protocol schema id -> { address, argCount, layout? }
+    authenticated: !securitySettings.pairing, // See handleHello and handlePair
+    pairingTimer: null,
+    rateBucket: { tokens: securitySettings.rateLimit.burst, time: Date.now() } // See allowClientMessage
+  };
   
   debugLog(`WebSocket client connected (#${connectedClients})`, {
     ip: clientIp,
+    protocol: ws.clientInfo.protocol,
     userAgent: userAgent.substring(0, 100), // Truncate long user agents
     totalClients: connectedClients
   });
 
-  // Send connection confirmation
-  try {
-    const allConnected = Object.values(oscConnected).every(connected => connected);
-    ws.send(JSON.stringify({
-      type: 'connection',
-      status: 'connected',
-      oscStatus: allConnected ? 'ready' : 'connecting',
-      oscPorts: OSC_PORTS
-    }));
-  } catch (err) {
-    debugLog('Failed to send connection confirmation', err.message, 'WARN');
+  // Unpaired headsets only learn that they have to pair; see authenticateClient
+  if (ws.clientInfo.authenticated) {
+    confirmConnection(ws);
+  } else {
+    sendToClient(ws, { type: 'connection', status: 'pairing required' });
+    startPairingTimeout(ws);
   }
 
-  ws.on('message', (message) => {
+  ws.on('message', (message, isBinary) => {
     try {
+      const limits = getMessageLimits(ws);
+      // Binary frames are charged in full here; JSON ones pay for the rest of their messages once parsed
+      if (!allowClientMessage(ws, isBinary ? peekBinaryFrameCount(message) : 1)) return;
+
+      if (isBinary) {
+        if (message.length > limits.binary) {
+          debugLog('Received oversized or unexpected binary WebSocket message', { size: message.length, protocol: ws.protocol }, 'WARN');
+          return;
+        }
+        if (!isClientAuthenticated(ws, 'binary frame')) return;
+        handleFrame(ws, decodeBinaryFrame(message, ws.clientInfo.schemas));
+        return;
+      }
+
       const msgString = message.toString();
       
       // Validate message size
-      if (msgString.length > 512) {
+      if (msgString.length > limits.text) {
         debugLog('Received oversized WebSocket message', { size: msgString.length }, 'WARN');
         return;
       }
       
       const msg = JSON.parse(msgString);
-      handleOSCMessage(msg);
+      if (msg.type === 'frame' && Array.isArray(msg.messages) && !allowClientMessage(ws, msg.messages.length - 1)) return;
+      if (msg.type) {
+        handleClientMessage(ws, msg);
+      } else if (isClientAuthenticated(ws, 'osc')) {
+        ensureClientUser(ws);
+        handleOSCMessage(msg, ws.clientInfo);
+      }
     } catch (err) {
       debugLog('WebSocket message processing error', {
         error: err.message,
-        messagePreview: message.toString().substring(0, 100)
+        messagePreview: isBinary ? `${message.length} bytes of binary` : message.toString().substring(0, 100)
       }, 'ERROR');
     }
   });
 
   ws.on('close', (code, reason) => {
     connectedClients = Math.max(0, connectedClients - 1);
+    clearTimeout(ws.clientInfo.pairingTimer);
     debugLog(`WebSocket client disconnected`, {
       ip: clientIp,
+      user: ws.clientInfo.user,
       code,
       reason: reason.toString(),
       remainingClients: connectedClients
     });
+
+    if (ws.clientInfo.user) {
+      const name = ws.clientInfo.user;
+      ws.clientInfo.user = null;
+      releaseZoneUser(name);
+      emitUserEvent('left', name);
+    }
   });
 
   ws.on('error', (error) => {
@@ -444,6 +5567,18 @@ wss.on('connection', (ws, req) => {
   });
 });
 
+// Confirm the connection with the OSC destinations' state and start clock sync, once the headset may stream
+function confirmConnection(ws) {
+  const allConnected = Object.values(oscDestinations).every(dest => dest.connected);
+  sendToClient(ws, {
+    type: 'connection',
+    status: 'connected',
+    oscStatus: allConnected ? 'ready' : 'connecting',
+    oscDestinations: Object.keys(oscDestinations)
+  });
+  startClockSync(ws);
+}
+
 // WebSocket health monitoring
 setInterval(() => {
   wss.clients.forEach((ws) => {
@@ -457,28 +5592,86 @@ setInterval(() => {
   });
 }, 30000); // Ping every 30 seconds
 
-// Initialize OSC connection
+// Keep each headset's clock offset fresh (drift, and Wi-Fi latency that changes over a session)
+setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN && ws.clientInfo && ws.clientInfo.authenticated) sendClockSync(ws);
+  });
+}, CLOCK_SYNC_INTERVAL_MS);
+
+// Initialize OSC connections for the routing table
+applyRoutingTable();
+applyFilterConfig();
+applyMotionConfig();
+applyTransmissionConfig();
+loadCalibrations();
+applyZoneConfig();
+applyPlaneConfig();
+applyPSNConfig();
+applyFreeDConfig();
+applyDMXConfig();
+applySecurityConfig();
+watchRulesFile();
+loadRules();
 initOSCConnection();
 
-// Print statistics every 30 seconds
-if (DEBUG_MODE) {
-  setInterval(printOSCStats, 30000);
+// Listen for OSC coming back from the creative apps
+initOSCInput();
+
+// Advertise the namespace over OSCQuery
+initOSCQuery();
+
+// Recording and playback: console commands, plus any actions requested on the command line
+initConsoleCommands();
+try {
+  if (cliOptions.session.record) {
+    startRecording(cliOptions.session.record === true ? null : cliOptions.session.record);
+  }
+  if (cliOptions.session.play) {
+    loadPlayback(resolvePlaybackPath(cliOptions.session.play));
+    setPlaybackLoop(cliOptions.session.loop);
+    setPlaybackSpeed(cliOptions.session.speed);
+    startPlayback();
+  }
+} catch (err) {
+  debugLog('Failed to start recording/playback from command line', err.message, 'ERROR');
 }
 
+// Watch the config file so OSC targets can change without a restart
+watchConfigFile();
+
+// Print statistics every 30 seconds (printOSCStats checks debugMode, which can be toggled by a reload)
+setInterval(printOSCStats, 30000);
+
+// Forget addresses whose streams stopped, and update the per-device rates shown on the dashboard
+setInterval(() => {
+  sweepSentMessages();
+  updateMessageRates();
+}, 1000);
+
 // Graceful shutdown handling
 process.on('SIGINT', () => {
   console.log('\n' + '='.repeat(40));
   console.log('Shutting down WebXR OSC Bridge...');
   console.log('='.repeat(40));
   
+  // Finish the recording file and stop playback
+  if (activeRecording) stopRecording();
+  stopPlayback();
+
   // Close all OSC ports
-  Object.keys(oscUDPPorts).forEach(deviceType => {
-    if (oscUDPPorts[deviceType]) {
+  closeOSCInput();
+  closeOSCQuery();
+  closePSN();
+  closeFreeD();
+  closeDMX();
+  Object.values(oscDestinations).forEach(destination => {
+    if (destination.udpPort) {
       try {
-        oscUDPPorts[deviceType].close();
-        debugLog(`OSC UDP port closed gracefully for ${deviceType}`);
+        destination.udpPort.close();
+        debugLog(`OSC UDP port closed gracefully for ${destination.key}`);
       } catch (err) {
-        debugLog(`Error closing OSC port for ${deviceType} during shutdown`, err.message, 'WARN');
+        debugLog(`Error closing OSC port for ${destination.key} during shutdown`, err.message, 'WARN');
       }
     }
   });